@@ -0,0 +1,193 @@
+// embedders.js
+// Pluggable embedding backends for the octonion classifier
+// Author: Brian (Axiomatic Research Laboratory)
+// License: MIT
+//
+// An embedder is { type, name, dimensions, embed(texts) } where embed()
+// resolves to one L2-normalized vector per input text. The dimension is
+// discovered when the backend loads, so nothing downstream assumes 384.
+
+const TRANSFORMERS_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
+
+export const DEFAULT_MODEL = 'all-MiniLM-L6-v2';
+
+// Known sentence-embedding models. Any other feature-extraction model id
+// (e.g. "Xenova/gte-small") is passed straight through to transformers.js.
+export const MODEL_PRESETS = {
+  'all-MiniLM-L6-v2': { model: 'Xenova/all-MiniLM-L6-v2', pooling: 'mean', prefix: '' },
+  'bge-small-en-v1.5': { model: 'Xenova/bge-small-en-v1.5', pooling: 'cls', prefix: '' },
+  'e5-small-v2': { model: 'Xenova/e5-small-v2', pooling: 'mean', prefix: 'query: ' }
+};
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+export async function createEmbedder(config = {}, onProgress = () => {}) {
+  switch (config.type || 'transformers') {
+    case 'transformers':
+      return createTransformersEmbedder(config, onProgress);
+
+    case 'hash':
+      return createHashEmbedder(config);
+
+    default:
+      throw new Error(`Unknown embedder type: ${config.type}`);
+  }
+}
+
+// ============================================================================
+// TRANSFORMERS.JS BACKEND
+// ============================================================================
+
+export async function createTransformersEmbedder(config = {}, onProgress = () => {}) {
+  const preset = MODEL_PRESETS[config.model || DEFAULT_MODEL] || {};
+  const model = preset.model || config.model;
+  const pooling = config.pooling || preset.pooling || 'mean';
+  const prefix = config.prefix ?? preset.prefix ?? '';
+  const quantized = config.quantized !== false;
+  const offline = Boolean(config.localModelPath);
+
+  if (offline && !config.transformersUrl) {
+    throw new Error('Offline loading needs transformersUrl (a vendored transformers.js build) alongside localModelPath');
+  }
+
+  const transformersUrl = config.transformersUrl || TRANSFORMERS_URL;
+  // The ONNX runtime .wasm files ship next to transformers.min.js in its dist/
+  const wasmPaths = config.wasmPaths || new URL('./', new URL(transformersUrl, self.location.href)).href;
+
+  if (offline) {
+    await checkLocalModelFiles(model, config.localModelPath, wasmPaths, quantized);
+  }
+
+  // Imported lazily so the hash backend never touches the network
+  let transformers;
+  try {
+    transformers = await import(transformersUrl);
+  } catch (error) {
+    throw new Error(`Could not load transformers.js from ${transformersUrl}: ${error.message}`);
+  }
+  const { pipeline, env } = transformers;
+
+  if (offline) {
+    env.localModelPath = config.localModelPath;
+    env.allowLocalModels = true;
+    env.allowRemoteModels = false;
+    env.backends.onnx.wasm.wasmPaths = wasmPaths;
+  } else {
+    env.allowLocalModels = false;
+    env.allowRemoteModels = true;
+    if (config.transformersUrl) env.backends.onnx.wasm.wasmPaths = wasmPaths;
+  }
+  env.backends.onnx.wasm.numThreads = navigator.hardwareConcurrency || 4;
+
+  const extractor = await pipeline('feature-extraction', model, {
+    quantized,
+    progress_callback: (progress) => {
+      if (progress.status === 'progress') {
+        onProgress((progress.loaded / progress.total) * 100);
+      }
+    }
+  });
+
+  async function embed(texts) {
+    const output = await extractor(texts.map(text => prefix + text), {
+      pooling,
+      normalize: true
+    });
+
+    // Output tensor is [texts.length, dimensions]
+    const dims = output.dims[output.dims.length - 1];
+    const vectors = [];
+    for (let i = 0; i < texts.length; i++) {
+      vectors.push(Array.from(output.data.slice(i * dims, (i + 1) * dims)));
+    }
+    return vectors;
+  }
+
+  // Read the vector size from the model itself
+  const [probe] = await embed(['dimension probe']);
+
+  return {
+    type: 'transformers',
+    name: model,
+    dimensions: probe.length,
+    embed
+  };
+}
+
+// Files transformers.js needs for a feature-extraction model and the ONNX
+// runtime. Checked up front so an air-gapped setup fails with the full list
+// of what is missing instead of a fetch error for the first absent file.
+export async function checkLocalModelFiles(model, localModelPath, wasmPaths, quantized = true) {
+  const base = new URL(localModelPath.endsWith('/') ? localModelPath : `${localModelPath}/`, self.location.href);
+  const modelFiles = [
+    'config.json',
+    'tokenizer.json',
+    'tokenizer_config.json',
+    quantized ? 'onnx/model_quantized.onnx' : 'onnx/model.onnx'
+  ].map(file => new URL(`${model}/${file}`, base).href);
+
+  const wasmFiles = ['ort-wasm.wasm', 'ort-wasm-simd.wasm'];
+  if (self.crossOriginIsolated) {
+    wasmFiles.push('ort-wasm-threaded.wasm', 'ort-wasm-simd-threaded.wasm');
+  }
+  const runtimeFiles = wasmFiles.map(file => new URL(file, wasmPaths).href);
+
+  const missing = [];
+  for (const url of [...modelFiles, ...runtimeFiles]) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      if (!response.ok) missing.push(url);
+    } catch (e) {
+      missing.push(url);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Missing local model files:\n${missing.map(url => `  - ${url}`).join('\n')}`);
+  }
+}
+
+// ============================================================================
+// DETERMINISTIC HASH BACKEND
+// ============================================================================
+
+// Signed feature hashing of words and word stems. No model, no network:
+// texts sharing vocabulary land close together, which is enough to exercise
+// the Fano and cohomology math reproducibly in CI.
+export function createHashEmbedder(config = {}) {
+  const dimensions = config.dimensions || 384;
+
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+    for (const word of words) {
+      const features = word.length > 5 ? [word, `${word.slice(0, 5)}~`] : [word];
+      for (const feature of features) {
+        const hash = fnv1a(feature);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+    return vector.map(x => x / norm);
+  }
+
+  return {
+    type: 'hash',
+    name: `hash-${dimensions}`,
+    dimensions,
+    embed: async (texts) => texts.map(embedOne)
+  };
+}
+
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
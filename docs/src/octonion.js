@@ -0,0 +1,495 @@
+// octonion.js
+// Octonion arithmetic over a Fano-plane multiplication table
+// Author: Brian (Axiomatic Research Laboratory)
+// License: MIT
+//
+// An octonion is 8 real components x0 + x1·e1 + ... + x7·e7. Products of
+// basis units come from the table; everything else follows by bilinearity.
+
+// Octonion multiplication table (Fano plane structure)
+// Each entry: [sign, index] where sign ∈ {-1, 1} and index ∈ {0..7}
+// e_i * e_j = sign * e_k according to Fano plane
+export const OCT_TABLE = [
+  null,  // e_0 (real unit: e_0 * e_j = e_j, handled in basisProduct)
+  [null, [-1,0], [1,4], [1,7], [-1,2], [1,6], [-1,5], [-1,3]],  // e_1
+  [null, [-1,4], [-1,0], [1,5], [1,1], [-1,3], [1,7], [-1,6]],  // e_2
+  [null, [-1,7], [-1,5], [-1,0], [1,6], [1,2], [-1,4], [1,1]],  // e_3
+  [null, [1,2], [-1,1], [-1,6], [-1,0], [1,7], [1,3], [-1,5]],  // e_4
+  [null, [-1,6], [1,3], [-1,2], [-1,7], [-1,0], [1,1], [1,4]],  // e_5
+  [null, [1,5], [-1,7], [1,4], [-1,3], [-1,1], [-1,0], [1,2]],  // e_6
+  [null, [1,3], [1,6], [-1,1], [1,5], [-1,4], [-1,2], [-1,0]]   // e_7
+];
+
+// e_i * e_j as [sign, index], with e_0 acting as 1
+export function basisProduct(i, j, table = OCT_TABLE) {
+  if (i === 0) return [1, j];
+  if (j === 0) return [1, i];
+  return table[i][j];
+}
+
+export class Octonion {
+  constructor(components = [1, 0, 0, 0, 0, 0, 0, 0], table = OCT_TABLE) {
+    if (components.length !== 8) {
+      throw new Error(`Octonion needs 8 components, got ${components.length}`);
+    }
+    this.components = Array.from(components, Number);
+    this.table = table;
+  }
+
+  // ==========================================================================
+  // CONSTRUCTORS
+  // ==========================================================================
+
+  static real(x, table = OCT_TABLE) {
+    return new Octonion([x, 0, 0, 0, 0, 0, 0, 0], table);
+  }
+
+  // sign · e_index
+  static basis(index, sign = 1, table = OCT_TABLE) {
+    if (!Number.isInteger(index) || index < 0 || index > 7) {
+      throw new Error(`Invalid basis index: ${index}`);
+    }
+    const components = new Array(8).fill(0);
+    components[index] = sign;
+    return new Octonion(components, table);
+  }
+
+  // Lift a 7D classification vector into e0 + Σ vᵢeᵢ
+  static fromVector(vector, table = OCT_TABLE) {
+    if (vector.length !== 7) {
+      throw new Error(`Classification vector must have 7 entries, got ${vector.length}`);
+    }
+    return new Octonion([1, ...vector], table);
+  }
+
+  // ==========================================================================
+  // ARITHMETIC
+  // ==========================================================================
+
+  get real() {
+    return this.components[0];
+  }
+
+  get imaginary() {
+    return this.components.slice(1);
+  }
+
+  add(other) {
+    return new Octonion(this.components.map((x, i) => x + other.components[i]), this.table);
+  }
+
+  subtract(other) {
+    return new Octonion(this.components.map((x, i) => x - other.components[i]), this.table);
+  }
+
+  scale(k) {
+    return new Octonion(this.components.map(x => x * k), this.table);
+  }
+
+  negate() {
+    return this.scale(-1);
+  }
+
+  multiply(other) {
+    const a = this.components;
+    const b = other.components;
+    const result = new Array(8).fill(0);
+
+    for (let i = 0; i < 8; i++) {
+      if (a[i] === 0) continue;
+      for (let j = 0; j < 8; j++) {
+        if (b[j] === 0) continue;
+        const [sign, k] = basisProduct(i, j, this.table);
+        result[k] += sign * a[i] * b[j];
+      }
+    }
+
+    return new Octonion(result, this.table);
+  }
+
+  conjugate() {
+    return new Octonion(this.components.map((x, i) => (i === 0 ? x : -x)), this.table);
+  }
+
+  normSquared() {
+    return this.components.reduce((sum, x) => sum + x * x, 0);
+  }
+
+  norm() {
+    return Math.sqrt(this.normSquared());
+  }
+
+  inverse() {
+    const n2 = this.normSquared();
+    if (n2 === 0) throw new Error("Zero octonion has no inverse");
+    return this.conjugate().scale(1 / n2);
+  }
+
+  // [a, b, c] = (ab)c − a(bc); vanishes identically only in associative algebras
+  static associator(a, b, c) {
+    return a.multiply(b).multiply(c).subtract(a.multiply(b.multiply(c)));
+  }
+
+  // [a, b] = ab − ba
+  static commutator(a, b) {
+    return a.multiply(b).subtract(b.multiply(a));
+  }
+
+  // ==========================================================================
+  // INSPECTION
+  // ==========================================================================
+
+  equals(other, epsilon = 1e-9) {
+    return this.components.every((x, i) => Math.abs(x - other.components[i]) <= epsilon);
+  }
+
+  // [sign, index] if this is ±e_index (e0 = ±1), otherwise null
+  basisForm(epsilon = 1e-9) {
+    const nonzero = this.components
+      .map((x, i) => [x, i])
+      .filter(([x]) => Math.abs(x) > epsilon);
+
+    if (nonzero.length !== 1 || Math.abs(Math.abs(nonzero[0][0]) - 1) > epsilon) {
+      return null;
+    }
+    return [Math.sign(nonzero[0][0]), nonzero[0][1]];
+  }
+
+  // Component with the largest magnitude, as { index, sign, weight }
+  dominant() {
+    let index = 0;
+    for (let i = 1; i < 8; i++) {
+      if (Math.abs(this.components[i]) > Math.abs(this.components[index])) index = i;
+    }
+    const weight = this.components[index];
+    return { index, sign: weight < 0 ? -1 : 1, weight };
+  }
+
+  toString(digits = 3) {
+    const basis = this.basisForm();
+    if (basis) {
+      return `${basis[0] > 0 ? '+' : '-'}${basis[1] === 0 ? '1' : `e${basis[1]}`}`;
+    }
+
+    const terms = this.components
+      .map((x, i) => [x, i])
+      .filter(([x]) => x !== 0)
+      .map(([x, i]) => `${x < 0 ? '-' : '+'}${Math.abs(x).toFixed(digits)}${i === 0 ? '' : `e${i}`}`);
+
+    return terms.length > 0 ? terms.join(' ') : '0';
+  }
+
+  toJSON() {
+    return this.components;
+  }
+}
+
+// ============================================================================
+// TABLE VERIFICATION
+// ============================================================================
+
+// The 7 Fano lines encoded by a table: {a, b, index(e_a·e_b)} for every pair,
+// each oriented as (a, b, c) with e_a·e_b = +e_c
+export function deriveFanoLines(table = OCT_TABLE) {
+  const lines = new Map();
+
+  for (let a = 1; a <= 7; a++) {
+    for (let b = 1; b <= 7; b++) {
+      if (a === b) continue;
+      const [sign, c] = table[a][b];
+      const key = [a, b, c].sort((x, y) => x - y).join(',');
+      if (sign === 1 && !lines.has(key)) lines.set(key, [a, b, c]);
+    }
+  }
+
+  return [...lines.values()];
+}
+
+// Deterministic PRNG so verification runs are reproducible
+function mulberry32(seed) {
+  return function() {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Full check of a candidate multiplication table. Returns
+// { valid, warnings, lines, checks: [{ name, passed, failures, maxError }] }.
+// Algebraic identities are tested on `samples` random elements.
+export function verifyOctonionTable(table = OCT_TABLE, options = {}) {
+  const samples = options.samples || 50;
+  const tolerance = options.tolerance || 1e-9;
+  const random = mulberry32(options.seed ?? 7);
+  const checks = [];
+
+  function check(name, failures, maxError) {
+    checks.push({
+      name,
+      passed: failures.length === 0,
+      failures: failures.slice(0, 10),
+      failureCount: failures.length,
+      ...(maxError !== undefined ? { maxError } : {})
+    });
+  }
+
+  // Shape: rows 1..7, columns 1..7, entries [±1, 0..7]
+  const shapeFailures = [];
+  for (let i = 1; i <= 7; i++) {
+    for (let j = 1; j <= 7; j++) {
+      const entry = table?.[i]?.[j];
+      if (!Array.isArray(entry) || Math.abs(entry[0]) !== 1 || !Number.isInteger(entry[1]) || entry[1] < 0 || entry[1] > 7) {
+        shapeFailures.push(`e${i}*e${j} is not [±1, 0..7]`);
+      }
+    }
+  }
+  check("shape", shapeFailures);
+
+  if (shapeFailures.length > 0) {
+    return summarize(checks, []);
+  }
+
+  // e_i² = −1
+  const squareFailures = [];
+  for (let i = 1; i <= 7; i++) {
+    const [sign, k] = table[i][i];
+    if (sign !== -1 || k !== 0) squareFailures.push(`e${i}² ≠ -1`);
+  }
+  check("squares", squareFailures);
+
+  // e_i·e_j = −e_j·e_i = ±e_k with k ∉ {0, i, j}
+  const antiFailures = [];
+  for (let i = 1; i <= 7; i++) {
+    for (let j = i + 1; j <= 7; j++) {
+      const ij = table[i][j];
+      const ji = table[j][i];
+      if (ij[1] !== ji[1] || ij[0] !== -ji[0]) {
+        antiFailures.push(`e${i}*e${j} ≠ -e${j}*e${i}`);
+      }
+      if (ij[1] === 0 || ij[1] === i || ij[1] === j) {
+        antiFailures.push(`e${i}*e${j} lands on e${ij[1]}`);
+      }
+    }
+  }
+  check("anti-commutativity", antiFailures);
+
+  // Lines read off the table must form a Fano plane: 7 triples, every pair
+  // of points on exactly one of them
+  const lines = deriveFanoLines(table);
+  const lineFailures = [];
+  if (lines.length !== 7) lineFailures.push(`Table encodes ${lines.length} lines, expected 7`);
+
+  const pairCount = new Map();
+  for (const line of lines) {
+    for (let x = 0; x < 3; x++) {
+      for (let y = x + 1; y < 3; y++) {
+        const key = [line[x], line[y]].sort((p, q) => p - q).join(',');
+        pairCount.set(key, (pairCount.get(key) || 0) + 1);
+      }
+    }
+  }
+  for (let a = 1; a <= 7; a++) {
+    for (let b = a + 1; b <= 7; b++) {
+      const count = pairCount.get(`${a},${b}`) || 0;
+      if (count !== 1) lineFailures.push(`Points ${a},${b} lie on ${count} lines`);
+    }
+  }
+  check("fano-lines", lineFailures);
+
+  // Each line is a quaternion triple: e_a·e_b = e_c, e_b·e_c = e_a, e_c·e_a = e_b
+  const tripleFailures = [];
+  for (const [a, b, c] of lines) {
+    const bc = table[b][c];
+    const ca = table[c][a];
+    if (bc[0] !== 1 || bc[1] !== a) tripleFailures.push(`e${b}*e${c} ≠ e${a} on line (${a},${b},${c})`);
+    if (ca[0] !== 1 || ca[1] !== b) tripleFailures.push(`e${c}*e${a} ≠ e${b} on line (${a},${b},${c})`);
+  }
+  check("quaternion-triples", tripleFailures);
+
+  // Identities on random elements
+  const randomOctonion = () => new Octonion(Array.from({ length: 8 }, () => random() * 2 - 1), table);
+  const identities = {
+    "left-alternative": (x, y) => [x.multiply(x).multiply(y), x.multiply(x.multiply(y))],
+    "right-alternative": (x, y) => [y.multiply(x).multiply(x), y.multiply(x.multiply(x))],
+    "flexible": (x, y) => [x.multiply(y).multiply(x), x.multiply(y.multiply(x))],
+    "moufang-1": (x, y, z) => [z.multiply(x.multiply(z.multiply(y))), z.multiply(x).multiply(z).multiply(y)],
+    "moufang-2": (x, y, z) => [x.multiply(z.multiply(y.multiply(z))), x.multiply(z).multiply(y).multiply(z)],
+    "moufang-3": (x, y, z) => [z.multiply(x).multiply(y.multiply(z)), z.multiply(x.multiply(y)).multiply(z)],
+    "moufang-4": (x, y, z) => [z.multiply(x).multiply(y.multiply(z)), z.multiply(x.multiply(y).multiply(z))],
+    "norm-multiplicative": (x, y) => [
+      Octonion.real(x.multiply(y).norm(), table),
+      Octonion.real(x.norm() * y.norm(), table)
+    ]
+  };
+
+  for (const [name, identity] of Object.entries(identities)) {
+    const failures = [];
+    let maxError = 0;
+
+    for (let n = 0; n < samples; n++) {
+      const [lhs, rhs] = identity(randomOctonion(), randomOctonion(), randomOctonion());
+      const error = lhs.subtract(rhs).norm();
+      maxError = Math.max(maxError, error);
+      if (error > tolerance) failures.push(`Sample ${n}: |lhs − rhs| = ${error.toExponential(2)}`);
+    }
+
+    check(name, failures, maxError);
+  }
+
+  return summarize(checks, lines);
+}
+
+function summarize(checks, lines) {
+  const failed = checks.filter(c => !c.passed);
+  return {
+    valid: failed.length === 0,
+    warnings: failed.flatMap(c => c.failures.map(f => `${c.name}: ${f}`)),
+    lines,
+    checks
+  };
+}
+
+// ============================================================================
+// TABLE GENERATORS
+// ============================================================================
+
+// Table from 7 oriented lines: (a, b, c) means e_a·e_b = e_c, e_b·e_c = e_a,
+// e_c·e_a = e_b, with the reversed products negated and e_i² = −1
+export function tableFromLines(lines) {
+  const table = [null];
+  for (let i = 1; i <= 7; i++) {
+    table.push([null, ...Array.from({ length: 7 }, (_, j) => (j + 1 === i ? [-1, 0] : null))]);
+  }
+
+  for (const [a, b, c] of lines) {
+    for (const [x, y, z] of [[a, b, c], [b, c, a], [c, a, b]]) {
+      table[x][y] = [1, z];
+      table[y][x] = [-1, z];
+    }
+  }
+
+  return table;
+}
+
+// Octonions as pairs of quaternions, (a, b)(c, d) = (ac − d̄b, da + bc̄),
+// with e0..e3 = (1, i, j, k, 0) and e4..e7 = (0, 1, i, j, k)
+export function cayleyDicksonTable() {
+  const qMultiply = ([a0, a1, a2, a3], [b0, b1, b2, b3]) => [
+    a0 * b0 - a1 * b1 - a2 * b2 - a3 * b3,
+    a0 * b1 + a1 * b0 + a2 * b3 - a3 * b2,
+    a0 * b2 - a1 * b3 + a2 * b0 + a3 * b1,
+    a0 * b3 + a1 * b2 - a2 * b1 + a3 * b0
+  ];
+  const qConjugate = ([w, x, y, z]) => [w, -x, -y, -z];
+  const qSubtract = (p, q) => p.map((x, i) => x - q[i]);
+  const qAdd = (p, q) => p.map((x, i) => x + q[i]);
+
+  const unit = (index) => {
+    const components = new Array(8).fill(0);
+    components[index] = 1;
+    return [components.slice(0, 4), components.slice(4)];
+  };
+
+  const table = [null];
+  for (let i = 1; i <= 7; i++) {
+    const row = [null];
+    for (let j = 1; j <= 7; j++) {
+      const [a, b] = unit(i);
+      const [c, d] = unit(j);
+      const product = [
+        ...qSubtract(qMultiply(a, c), qMultiply(qConjugate(d), b)),
+        ...qAdd(qMultiply(d, a), qMultiply(b, qConjugate(c)))
+      ];
+      const k = product.findIndex(x => x !== 0);
+      row.push([product[k], k]);
+    }
+    table.push(row);
+  }
+
+  return table;
+}
+
+// A table defines an alternative algebra iff the associator of basis units
+// is alternating, i.e. flips sign under swapping either adjacent pair
+function hasAlternatingAssociator(table) {
+  const associator = (a, b, c) =>
+    Octonion.associator(Octonion.basis(a, 1, table), Octonion.basis(b, 1, table), Octonion.basis(c, 1, table));
+
+  for (let a = 1; a <= 7; a++) {
+    for (let b = 1; b <= 7; b++) {
+      for (let c = 1; c <= 7; c++) {
+        const abc = associator(a, b, c);
+        if (!abc.add(associator(b, a, c)).equals(Octonion.real(0)) ||
+            !abc.add(associator(a, c, b)).equals(Octonion.real(0))) {
+          return false;
+        }
+      }
+    }
+  }
+  return true;
+}
+
+let signConventions = null;
+
+// All 480 octonion tables on e1..e7: each of the 30 labelings of the Fano
+// plane with the 16 (of 2⁷) line orientations that give an alternative
+// algebra. Ordered by line set, then orientation; computed once.
+export function signConventionTables() {
+  if (signConventions) return signConventions;
+
+  const base = deriveFanoLines(OCT_TABLE);
+  const lineSets = new Map();
+
+  for (const permutation of permutations([1, 2, 3, 4, 5, 6, 7])) {
+    const lines = base
+      .map(line => line.map(p => permutation[p - 1]).sort((x, y) => x - y))
+      .sort((x, y) => x.join().localeCompare(y.join()));
+    const key = lines.map(line => line.join('')).join(' ');
+    if (!lineSets.has(key)) lineSets.set(key, lines);
+  }
+
+  signConventions = [];
+  for (const key of [...lineSets.keys()].sort()) {
+    const lines = lineSets.get(key);
+    for (let mask = 0; mask < 128; mask++) {
+      const oriented = lines.map(([a, b, c], i) => ((mask >> i) & 1 ? [a, c, b] : [a, b, c]));
+      const table = tableFromLines(oriented);
+      if (hasAlternatingAssociator(table)) signConventions.push(table);
+    }
+  }
+
+  return signConventions;
+}
+
+// All orderings of items, starting with items itself
+export function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const tail of permutations(rest)) yield [items[i], ...tail];
+  }
+}
+
+// Position of a table among signConventionTables(), or -1. Only the products
+// of e1..e7 are compared: row and column 0 are never read (basisProduct
+// handles e_0), so a table may hold anything there.
+export function signConventionIndex(table) {
+  const key = productKey(table);
+  return signConventionTables().findIndex(candidate => productKey(candidate) === key);
+}
+
+function productKey(table) {
+  const entries = [];
+  for (let i = 1; i <= 7; i++) {
+    for (let j = 1; j <= 7; j++) {
+      const [sign, index] = table[i][j];
+      entries.push(`${Number(sign)}:${Number(index)}`);
+    }
+  }
+  return entries.join(' ');
+}
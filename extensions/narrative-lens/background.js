@@ -1,69 +1,256 @@
 // background.js
 // Narrative Lens - Background Service Worker with Real Classifier
 
-let worker = null;
+import { OctonionClassifierClient } from './classifier-client.js';
+import { MODEL_PRESETS } from './embedders.js';
+import { DEFAULT_SETTINGS, loadSettings } from './settings.js';
+
+let client = null;
+let workerInfo = null;  // "ready" info of the running classifier
 let isWorkerReady = false;
 let workerInitPromise = null;
+let hostConnectPromise = null;
+let initError = null;
+let hostError = null;  // Why the last attempt to reach the host failed
+let failedModel = null;  // Saved model that didn't load; the default runs instead
+
+const OFFSCREEN_URL = 'offscreen.html';
+const HOST_CONNECT_TIMEOUT = 10000;  // ms
+let creatingOffscreen = null;
+
+// In-flight classification jobs, so the popup can show progress and cancel
+const activeJobs = new Map();  // jobId → { controller, tabId, title }
+let nextJobId = 1;
+
+// The classifier only loads the transformers.js build and model files packaged
+// inside the extension directory (see settings.js)
+function getEmbedderConfig(settings) {
+  return {
+    type: 'transformers',
+    model: settings.model,
+    localModelPath: chrome.runtime.getURL(settings.localModelPath),
+    transformersUrl: chrome.runtime.getURL(settings.transformersPath)
+  };
+}
+
+// ============================================================================
+// OFFSCREEN CLASSIFIER HOST
+// ============================================================================
+
+// The worker runs in offscreen.html (see offscreen.js). Resolves true if the
+// document was already open, i.e. it survived a service-worker restart.
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_URL);
+  const existing = chrome.runtime.getContexts
+    ? await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'], documentUrls: [url] })
+    : (await self.clients.matchAll()).filter(c => c.url === url);
+  if (existing.length > 0) return true;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: [chrome.offscreen.Reason.WORKERS],
+      justification: 'Runs the classifier Web Worker, which service workers cannot create'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+  return false;
+}
+
+// Wait for the host's port. A new document connects on load; one that
+// outlived the previous service worker has to be asked. Gives up after
+// HOST_CONNECT_TIMEOUT, e.g. when the "reconnect" message is lost.
+async function connectToHost() {
+  let onConnect, timer;
+  const connected = new Promise((resolve, reject) => {
+    onConnect = (port) => {
+      if (port.name === 'classifier-host') resolve(port);
+    };
+    timer = setTimeout(() => reject(new Error('The classifier host did not connect')), HOST_CONNECT_TIMEOUT);
+    chrome.runtime.onConnect.addListener(onConnect);
+  });
+
+  try {
+    if (await ensureOffscreenDocument()) {
+      chrome.runtime.sendMessage({ target: 'offscreen', type: 'reconnect' }).catch(() => {});
+    }
+    return await connected;
+  } finally {
+    clearTimeout(timer);
+    chrome.runtime.onConnect.removeListener(onConnect);
+  }
+}
+
+// Worker-shaped view of the host port for OctonionClassifierClient
+function portWorker(port) {
+  const target = new EventTarget();
+  port.onMessage.addListener((message) => {
+    target.dispatchEvent(new MessageEvent('message', { data: message }));
+  });
+
+  return {
+    postMessage: (message) => port.postMessage(message),
+    addEventListener: (type, handler) => target.addEventListener(type, handler),
+    terminate: () => port.disconnect()
+  };
+}
+
+function nextMessage(type) {
+  return new Promise((resolve) => {
+    const off = client.on(type, (message) => {
+      off();
+      resolve(message);
+    });
+  });
+}
 
-// Initialize the transformer worker
+// Connect to the host and learn whether its worker is idle, still loading
+// the model, or already ready from before a service-worker restart
+function connectHost() {
+  if (hostConnectPromise) return hostConnectPromise;
+
+  hostConnectPromise = (async () => {
+    const port = await connectToHost();
+    client = new OctonionClassifierClient(portWorker(port), { timeout: 30000 });
+
+    client.on('status', ({ message, progress }) => {
+      console.log('Narrative Lens:', message);
+      // Broadcast status to popup if open
+      chrome.runtime.sendMessage({
+        type: 'workerStatus',
+        message,
+        progress
+      }).catch(() => {}); // Ignore if popup isn't open
+    });
+
+    client.on('error', ({ message }) => {
+      console.error('Narrative Lens Worker Error:', message);
+    });
+
+    // The host document was closed: start over on the next request
+    port.onDisconnect.addListener(() => {
+      client.terminate();
+      client = null;
+      isWorkerReady = false;
+      workerInitPromise = null;
+      hostConnectPromise = null;
+    });
+
+    const hostState = nextMessage('host-state');
+    port.postMessage({ type: 'host-state' });
+
+    const { state, info } = await hostState;
+    if (state === 'ready') isWorkerReady = true;
+    return { state, info };
+  })().catch((error) => {
+    // Don't keep the failure: the next request tries again
+    hostConnectPromise = null;
+    hostError = error.message;
+    throw error;
+  });
+
+  return hostConnectPromise;
+}
+
+// Initialize the classifier, loading the model only if the host hasn't yet
 function initializeWorker() {
   if (workerInitPromise) return workerInitPromise;
 
-  workerInitPromise = new Promise((resolve, reject) => {
-    try {
-      // Create worker from the copied transformer-worker.js
-      worker = new Worker(chrome.runtime.getURL('worker.js'), { type: 'module' });
-
-      // Handle worker messages
-      worker.onmessage = function(e) {
-        const { type, message } = e.data;
-
-        if (type === 'ready') {
-          isWorkerReady = true;
-          console.log('Narrative Lens: Classifier ready', e.data.info);
-          resolve(true);
-
-          // Notify all tabs that worker is ready
-          chrome.tabs.query({}, (tabs) => {
-            tabs.forEach(tab => {
-              chrome.tabs.sendMessage(tab.id, {
-                type: 'workerReady'
-              }).catch(() => {}); // Ignore errors for tabs without content script
-            });
-          });
-        }
+  workerInitPromise = (async () => {
+    const { state, info: hostInfo } = await connectHost();
+    let info = hostInfo;
+
+    if (state === 'loading') {
+      // Started by a previous service worker; its reply arrives untagged for us
+      const message = await Promise.race([nextMessage('ready'), nextMessage('error')]);
+      if (message.type === 'error') throw new Error(message.message);
+      info = message.info;
+    } else if (state === 'idle') {
+      // Initialize with the configured model source
+      info = await loadModel(await loadSettings());
+    }
+    workerInfo = info;
 
-        if (type === 'status') {
-          console.log('Narrative Lens:', message);
-          // Broadcast status to popup if open
-          chrome.runtime.sendMessage({
-            type: 'workerStatus',
-            message,
-            progress: e.data.progress
-          }).catch(() => {}); // Ignore if popup isn't open
-        }
+    // Re-read: the settings may have changed while the model loaded
+    await applySettings(await loadSettings());
 
-        if (type === 'error') {
-          console.error('Narrative Lens Worker Error:', message);
-          reject(new Error(message));
-        }
-      };
+    isWorkerReady = true;
+    initError = null;
+    console.log('Narrative Lens: Classifier ready', info);
 
-      worker.onerror = function(error) {
-        console.error('Narrative Lens Worker Error:', error);
-        reject(error);
-      };
+    // Notify all tabs that worker is ready
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, {
+          type: 'workerReady'
+        }).catch(() => {}); // Ignore errors for tabs without content script
+      });
+    });
+    chrome.runtime.sendMessage({ type: 'workerReady' }).catch(() => {});
 
-      // Worker will auto-initialize and send 'ready' message
-    } catch (error) {
-      console.error('Failed to initialize worker:', error);
-      reject(error);
-    }
+    return true;
+  })().catch((error) => {
+    console.error('Narrative Lens Worker Error:', error.message);
+    initError = error.message;
+    workerInitPromise = null;
+    throw error;
   });
 
   return workerInitPromise;
 }
 
+// Bring the running classifier in line with the stored settings: labels,
+// prototypes and scale, then the model if another one was chosen (loading
+// it re-embeds the prototypes). Chunk size and Zariski threshold travel with
+// each classify request.
+async function applySettings(settings) {
+  await client.setLabels(settings.labels, ['', ...settings.prototypes]);
+  await client.setSoftmaxScale(settings.softmaxScale);
+
+  const model = (MODEL_PRESETS[settings.model] || {}).model || settings.model;
+  if (workerInfo.model !== model && settings.model !== failedModel) {
+    workerInfo = await loadModel(settings);
+  }
+}
+
+// Load the chosen model, or the default one if its files aren't bundled,
+// so a stale choice can't keep the classifier from starting
+async function loadModel(settings) {
+  try {
+    const { info } = await client.init({ embedder: getEmbedderConfig(settings) }, { timeout: 0 });
+    failedModel = null;
+    return info;
+  } catch (error) {
+    if (settings.model === DEFAULT_SETTINGS.model) throw error;
+    console.warn(`Narrative Lens: ${settings.model} failed to load (${error.message}), using ${DEFAULT_SETTINGS.model}`);
+    failedModel = settings.model;
+    const { info } = await client.init({ embedder: getEmbedderConfig(DEFAULT_SETTINGS) }, { timeout: 0 });
+    return info;
+  }
+}
+
+// Settle readiness before answering: a service worker woken by this very
+// message hasn't yet heard from the host whether the model is loaded
+async function whenHostKnown() {
+  try {
+    await connectHost();
+  } catch (error) {
+    initError = error.message;
+    return;
+  }
+
+  // Not reaching the host before is no reason to stop loading the model now
+  if (hostError && initError === hostError) initError = null;
+  hostError = null;
+
+  // A host document that was closed comes back idle
+  if (!isWorkerReady && !workerInitPromise && !initError) {
+    initializeWorker().catch(() => {});
+  }
+}
+
 // Create context menu item
 chrome.runtime.onInstalled.addListener(() => {
   chrome.contextMenus.create({
@@ -75,15 +262,16 @@ chrome.runtime.onInstalled.addListener(() => {
   console.log('Narrative Lens: Extension installed');
 
   // Initialize worker on install
-  initializeWorker();
+  initializeWorker().catch(() => {});
 });
 
-// Initialize worker when extension starts
-initializeWorker();
+// Initialize worker when extension starts, and reattach after a restart
+initializeWorker().catch(() => {});
 
 // Handle context menu clicks
-chrome.contextMenus.onClicked.addListener((info, tab) => {
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === 'analyzeWithNarrativeLens') {
+    await whenHostKnown();
     if (!isWorkerReady) {
       // Show "loading" notification
       chrome.tabs.sendMessage(tab.id, {
@@ -105,105 +293,185 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'classify') {
-    if (!isWorkerReady) {
-      sendResponse({
-        error: 'Model not ready yet. Please wait for initialization.',
-        loading: true
-      });
-      return true;
-    }
-
-    // Use real classifier
-    classifyTextReal(request.text, request.options).then(result => {
-      sendResponse(result);
-    }).catch(error => {
-      sendResponse({
-        error: error.message,
-        dominant: 4,
-        label: 'Heart',
-        vector: [0.1, 0.15, 0.12, 0.25, 0.2, 0.1, 0.08],
-        confidence: 0,
-        cohomologyClass: 0
-      });
-    });
+    whenHostKnown().then(() => handleClassify(request, sender, sendResponse));
     return true; // Keep channel open for async response
   }
 
+  if (request.type === 'cancelClassification') {
+    const job = activeJobs.get(request.jobId);
+    if (job) job.controller.abort();
+    sendResponse({ success: Boolean(job) });
+    return true;
+  }
+
   if (request.type === 'checkWorkerStatus') {
-    sendResponse({ ready: isWorkerReady });
+    whenHostKnown().then(() => sendResponse({ ready: isWorkerReady, error: initError }));
+    return true;
+  }
+
+  if (request.type === 'applySettings') {
+    whenHostKnown()
+      .then(() => {
+        if (isWorkerReady) {
+          return loadSettings().then(applySettings).then(() => ({ success: true }));
+        }
+        if (workerInitPromise) {
+          return { pending: true };  // Applied once the model has loaded
+        }
+        // Retry a failed load, e.g. after choosing a bundled model
+        initError = null;
+        return initializeWorker().then(() => ({ success: true }));
+      })
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
     return true;
   }
 
   if (request.type === 'setLabels') {
-    if (!isWorkerReady) {
-      sendResponse({ error: 'Worker not ready' });
-      return true;
-    }
+    whenHostKnown().then(() => {
+      if (!isWorkerReady) {
+        sendResponse({ error: 'Worker not ready' });
+        return;
+      }
 
-    worker.postMessage({
-      type: 'set-labels',
-      data: request.data
+      client.setLabels(request.data.labels, request.data.prototypes)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ error: error.message }));
     });
-
-    sendResponse({ success: true });
     return true;
   }
 });
 
-// Real classification using the transformer worker
-async function classifyTextReal(text, options = {}) {
-  return new Promise((resolve, reject) => {
-    if (!worker || !isWorkerReady) {
-      reject(new Error('Worker not initialized'));
+function handleClassify(request, sender, sendResponse) {
+  if (!isWorkerReady) {
+    sendResponse({
+      error: initError || 'Model not ready yet. Please wait for initialization.',
+      loading: !initError
+    });
+    return;
+  }
+
+  // Use real classifier
+  const jobId = nextJobId++;
+  const controller = new AbortController();
+  activeJobs.set(jobId, {
+    controller,
+    tabId: sender.tab?.id,
+    title: sender.tab?.title || 'Selected text'
+  });
+
+  classifyTextReal(request.text, request.options, {
+    signal: controller.signal,
+    onProgress: (progress) => broadcastJob('classifyProgress', jobId, progress)
+  }).then(result => {
+    if (request.source === 'page' && sender.tab) storeAnalysis(sender, result);
+    sendResponse(result);
+  }).catch(error => {
+    if (error.cancelled) {
+      sendResponse({ error: 'Analysis cancelled', cancelled: true });
       return;
     }
+    sendResponse({
+      error: error.message,
+      dominant: 4,
+      label: 'Heart',
+      vector: [0.1, 0.15, 0.12, 0.25, 0.2, 0.1, 0.08],
+      confidence: 0,
+      cohomologyClass: 0
+    });
+  }).finally(() => {
+    activeJobs.delete(jobId);
+    broadcastJob('classifyDone', jobId);
+  });
+}
 
-    // Create a unique message ID for tracking
-    const messageId = Date.now() + Math.random();
-
-    // Set up one-time listener for this specific classification
-    const messageHandler = function(e) {
-      const { type, ...data } = e.data;
-
-      if (type === 'classification') {
-        // Remove listener
-        worker.removeEventListener('message', messageHandler);
-
-        resolve({
-          dominant: data.dominant,
-          label: data.label,
-          vector: data.vector,
-          confidence: data.confidence,
-          cohomologyClass: data.cohomologyClass,
-          zariskiCoverings: data.zariskiCoverings,
-          chunksProcessed: data.chunksProcessed,
-          trajectory: data.trajectory
-        });
-      }
+// Real classification using the transformer worker. Each request carries its
+// own id, so concurrent calls from different tabs can't swap results.
+async function classifyTextReal(text, options = {}, { signal, onProgress } = {}) {
+  if (!client || !isWorkerReady) {
+    throw new Error('Worker not initialized');
+  }
 
-      if (type === 'error') {
-        worker.removeEventListener('message', messageHandler);
-        reject(new Error(data.message));
-      }
-    };
+  const { maxChunkSize, zariskiThreshold, labels } = await loadSettings();
+  // No timeout: long pages report progress and can be cancelled from the popup
+  const data = await client.classify(text, { maxChunkSize, zariskiThreshold, ...options }, { signal, onProgress, timeout: 0 });
+
+  return {
+    dominant: data.dominant,
+    label: data.label,
+    labels,
+    vector: data.vector,
+    confidence: data.confidence,
+    cohomologyClass: data.cohomologyClass,
+    cohomology: {
+      h0: data.cohomology.h0,
+      h1: data.cohomology.h1,
+      openSets: data.cohomology.nerve.vertices
+    },
+    zariskiCoverings: data.zariskiCoverings,
+    zariski: {
+      threshold: data.zariski.threshold,
+      minimalCovers: data.zariski.minimalCovers
+    },
+    activeLabels: data.zariski.activeLabels ? data.zariski.activeLabels.labels : [data.label],
+    chunksProcessed: data.chunksProcessed,
+    trajectory: data.trajectory,
+    gluingFailures: data.gluingFailures,
+    sections: data.sections
+  };
+}
 
-    worker.addEventListener('message', messageHandler);
+// ============================================================================
+// PER-TAB ANALYSES (read by the side panel)
+// ============================================================================
 
-    // Send classification request
-    worker.postMessage({
-      type: 'classify',
-      data: {
-        text: text,
-        options: options || {}
-      }
-    });
+// The latest page analysis of each tab, kept in session storage so it
+// survives service-worker restarts but not the browser session
+function analysisKey(tabId) {
+  return `analysis:${tabId}`;
+}
 
-    // Timeout after 30 seconds
-    setTimeout(() => {
-      worker.removeEventListener('message', messageHandler);
-      reject(new Error('Classification timeout'));
-    }, 30000);
+async function storeAnalysis(sender, analysis) {
+  const tabId = sender.tab.id;
+  await chrome.storage.session.set({
+    [analysisKey(tabId)]: { url: sender.url, title: sender.tab.title, analyzedAt: Date.now(), analysis }
   });
+  chrome.runtime.sendMessage({ type: 'analysisUpdated', tabId }).catch(() => {});
+}
+
+async function forgetAnalysis(tabId) {
+  await chrome.storage.session.remove(analysisKey(tabId));
+  chrome.runtime.sendMessage({ type: 'analysisUpdated', tabId }).catch(() => {});
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetAnalysis(tabId);
+});
+
+// Passages of the previous page can't be shown on the new one; a change of
+// #fragment stays on the same page. changeInfo.url needs the "tabs"
+// permission for tabs other than the one activeTab was granted on.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  const key = analysisKey(tabId);
+  const { [key]: stored } = await chrome.storage.session.get(key);
+  if (stored && stored.url.split('#')[0] !== changeInfo.url.split('#')[0]) {
+    forgetAnalysis(tabId);
+  }
+});
+
+// Tell the popup (if open) how a job is doing
+function broadcastJob(type, jobId, progress = {}) {
+  const job = activeJobs.get(jobId);
+  chrome.runtime.sendMessage({
+    type,
+    jobId,
+    tabId: job?.tabId,
+    title: job?.title,
+    chunksDone: progress.chunksDone,
+    totalChunks: progress.totalChunks,
+    elapsedMs: progress.elapsedMs
+  }).catch(() => {}); // Ignore if popup isn't open
 }
 
 console.log('Narrative Lens: Background script initialized');
@@ -14,39 +14,53 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   if (request.type === 'analyzeSelection') {
-    const selectedText = window.getSelection().toString();
+    const selection = window.getSelection();
+    const selectedText = selection.toString();
     if (selectedText) {
-      analyzeText(selectedText).then(analysis => {
+      // Tensions are looked for in the selected element only
+      const container = selection.getRangeAt(0).commonAncestorContainer;
+      const root = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+      classifyText(selectedText).then(analysis => {
+        highlightGluingFailures(analysis, root);
         displayAnalysisOverlay(analysis, request.position);
         sendResponse({ success: true, analysis });
       });
     }
     return true;
   }
+
+  // From the side panel: bring a classified chunk into view
+  if (request.type === 'showPassage') {
+    sendResponse({ found: selectPassage(request.index, request.text) });
+  }
 });
 
 // Analyze full page content
 async function analyzePageContent() {
   // Extract main content (simple version - can be improved)
-  const mainContent = extractMainContent();
+  const root = mainContentRoot();
+  const mainContent = extractMainContent(root);
 
-  // Classify using the octonion classifier
-  const analysis = await classifyText(mainContent);
+  // Classify using the octonion classifier; the per-chunk sections are
+  // tinted on the page and feed the side panel
+  const analysis = await classifyText(mainContent, { sections: true }, 'page');
+  pageAnalysis = analysis.sections ? { sections: analysis.sections, root } : null;
+  highlightSections(analysis, root);
+  highlightGluingFailures(analysis, root);
 
   return analysis;
 }
 
-// Extract main content from page
-function extractMainContent() {
+// Element holding the page's main content
+function mainContentRoot() {
   // Try to find main article content
-  const article = document.querySelector('article');
-  if (article) return article.innerText;
-
-  const main = document.querySelector('main');
-  if (main) return main.innerText;
+  return document.querySelector('article') || document.querySelector('main') || document.body;
+}
 
+function extractMainContent(root) {
   // Fallback to body text
-  return document.body.innerText.substring(0, 10000);
+  if (root === document.body) return root.innerText.substring(0, 10000);
+  return root.innerText;
 }
 
 // Display analysis overlay on page
@@ -85,7 +99,7 @@ function displayAnalysisOverlay(analysis, position) {
 
     <div style="margin-bottom: 12px;">
       <div style="font-size: 1.5rem; color: #ff00ff; margin-bottom: 8px;">
-        ${analysis.label}
+        ${escapeHtml(analysis.label)}
       </div>
       <div style="color: #888; font-size: 0.85rem;">
         Dominant semantic framework
@@ -112,6 +126,8 @@ function displayAnalysisOverlay(analysis, position) {
       ${getExplanation(analysis)}
     </div>
 
+    ${tensionList(analysis)}
+
     <div style="margin-top: 12px; padding: 8px; background: rgba(0, 255, 100, 0.05); border-radius: 6px; font-size: 0.7rem; color: #00ff88;">
       🔒 All analysis happens locally. Nothing is sent to servers.
     </div>
@@ -124,6 +140,10 @@ function displayAnalysisOverlay(analysis, position) {
     overlay.remove();
   });
 
+  overlay.querySelectorAll('[data-tension]').forEach(item => {
+    item.addEventListener('click', () => scrollToTension(item.dataset.tension));
+  });
+
   // Close on click outside
   setTimeout(() => {
     document.addEventListener('click', function closeOnClickOutside(e) {
@@ -135,25 +155,451 @@ function displayAnalysisOverlay(analysis, position) {
   }, 100);
 }
 
+// ============================================================================
+// PER-CHUNK FRAMING
+// ============================================================================
+
+const FRAME_CLASS = 'narrative-lens-frame';
+
+// One tint per unit e1..e7 (a rainbow, matching the default Chakra preset)
+const FRAME_COLORS = [
+  [255, 92, 92],
+  [255, 159, 67],
+  [254, 202, 87],
+  [29, 209, 161],
+  [84, 160, 255],
+  [95, 39, 205],
+  [197, 108, 240]
+];
+
+// The page analysis whose sections are tinted, kept for the legend's toggle
+let framedAnalysis = null;
+let framedRoot = null;
+let framingVisible = false;
+
+// Tint every classified chunk by its dominant unit and show the legend.
+// Chunks are found in order in the element their text was extracted from,
+// so repeated text maps to the right occurrence.
+function highlightSections(analysis, root) {
+  removeFraming();
+  if (!analysis || !analysis.sections) return;
+
+  framedAnalysis = analysis;
+  framedRoot = root;
+  applyFraming();
+}
+
+function applyFraming() {
+  const { sections, labels } = framedAnalysis;
+  const located = locatePassages(sections.map(section => section.text), framedRoot);
+
+  // Sections the page renders differently, e.g. via CSS, stay untinted
+  const matches = sections
+    .map((section, i) => ({ section, match: located[i] }))
+    .filter(({ match }) => match);
+
+  wrapMatches(matches, ({ section }) => {
+    const [r, g, b] = FRAME_COLORS[section.dominant - 1];
+    const mark = document.createElement('mark');
+    mark.className = FRAME_CLASS;
+    mark.dataset.section = section.index;
+    // Drop the page's and the browser's <mark> styles so no box changes
+    mark.style.cssText = `all: unset; background: rgba(${r}, ${g}, ${b}, 0.18); box-shadow: inset 0 -2px 0 rgba(${r}, ${g}, ${b}, 0.7);`;
+    return mark;
+  });
+
+  framingVisible = true;
+  document.addEventListener('mouseover', showFrameTooltip);
+  document.addEventListener('mouseout', hideFrameTooltip);
+  showLegend(labels, sections, matches.length);
+}
+
+// Restore the page's text nodes, keeping the legend so it can toggle back
+function hideFraming() {
+  unwrapMarks(FRAME_CLASS);
+  framingVisible = false;
+  document.removeEventListener('mouseover', showFrameTooltip);
+  document.removeEventListener('mouseout', hideFrameTooltip);
+  document.getElementById('narrative-lens-tooltip')?.remove();
+}
+
+function removeFraming() {
+  hideFraming();
+  framedAnalysis = null;
+  framedRoot = null;
+  document.getElementById('narrative-lens-legend')?.remove();
+}
+
+function showLegend(labels, sections, found) {
+  document.getElementById('narrative-lens-legend')?.remove();
+
+  const counts = new Array(7).fill(0);
+  sections.forEach(section => counts[section.dominant - 1]++);
+
+  const rows = labels.map((label, i) => counts[i] === 0 ? '' : `
+    <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+      <span style="width: 10px; height: 10px; border-radius: 2px; background: rgb(${FRAME_COLORS[i].join(', ')});"></span>
+      <span style="flex: 1;">${escapeHtml(label)}</span>
+      <span style="color: #888;">${counts[i]}</span>
+    </div>
+  `).join('');
+
+  const legend = document.createElement('div');
+  legend.id = 'narrative-lens-legend';
+  legend.style.cssText = `
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    background: rgba(10, 10, 10, 0.95);
+    border: 1px solid rgba(0, 245, 255, 0.5);
+    border-radius: 8px;
+    padding: 10px 12px;
+    color: #e0e0e0;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 12px;
+    line-height: 1.4;
+    width: 200px;
+    box-shadow: 0 6px 24px rgba(0, 0, 0, 0.5);
+    z-index: 999998;
+  `;
+  legend.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center;">
+      <strong style="color: #00f5ff;">Framing by passage</strong>
+      <button data-action="close" title="Remove highlights" style="background: none; border: none; color: #888; cursor: pointer; font-size: 16px; padding: 0;">&times;</button>
+    </div>
+    <div data-rows>${rows}</div>
+    <div data-rows style="color: #888; margin-top: 6px;">${found} of ${sections.length} passages found on the page</div>
+    <button data-action="toggle" style="width: 100%; margin-top: 8px; padding: 4px; background: rgba(0, 245, 255, 0.1); border: 1px solid rgba(0, 245, 255, 0.3); border-radius: 4px; color: #00f5ff; cursor: pointer; font: inherit;">Hide highlights</button>
+  `;
+
+  legend.addEventListener('click', (e) => {
+    const action = e.target.dataset.action;
+    if (action === 'close') removeFraming();
+    if (action === 'toggle') toggleFraming(legend);
+  });
+
+  document.body.appendChild(legend);
+}
+
+// One switch: unwrap all tints, or put them back
+function toggleFraming(legend) {
+  if (framingVisible) {
+    hideFraming();
+  } else {
+    applyFraming();
+    return;  // applyFraming rebuilt the legend
+  }
+  legend.querySelectorAll('[data-rows]').forEach(el => { el.style.display = 'none'; });
+  legend.querySelector('[data-action="toggle"]').textContent = 'Show highlights';
+}
+
+// Tooltip with the hovered chunk's 7D vector and confidence
+function showFrameTooltip(e) {
+  const mark = e.target.closest && e.target.closest(`mark.${FRAME_CLASS}`);
+  if (!mark || !framedAnalysis) return;
+
+  const section = framedAnalysis.sections[mark.dataset.section];
+  const bars = section.vector.map((value, i) => `
+    <div style="display: flex; align-items: center; gap: 6px;">
+      <span style="width: 80px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: ${i + 1 === section.dominant ? '#ff00ff' : '#aaa'};">${escapeHtml(framedAnalysis.labels[i])}</span>
+      <span style="flex: 1; height: 6px; background: rgba(255, 255, 255, 0.1); border-radius: 3px; overflow: hidden;">
+        <span style="display: block; height: 100%; width: ${(value * 100).toFixed(1)}%; background: rgb(${FRAME_COLORS[i].join(', ')});"></span>
+      </span>
+      <span style="width: 40px; text-align: right; color: #888;">${(value * 100).toFixed(1)}%</span>
+    </div>
+  `).join('');
+
+  let tooltip = document.getElementById('narrative-lens-tooltip');
+  if (!tooltip) {
+    tooltip = document.createElement('div');
+    tooltip.id = 'narrative-lens-tooltip';
+    tooltip.style.cssText = `
+      position: fixed;
+      background: rgba(10, 10, 10, 0.95);
+      border: 1px solid rgba(0, 245, 255, 0.5);
+      border-radius: 8px;
+      padding: 8px 10px;
+      color: #e0e0e0;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 11px;
+      line-height: 1.5;
+      width: 240px;
+      pointer-events: none;
+      z-index: 999999;
+    `;
+    document.body.appendChild(tooltip);
+  }
+
+  tooltip.innerHTML = `
+    <div style="margin-bottom: 4px;">
+      <strong style="color: #ff00ff;">${escapeHtml(section.label)}</strong>
+      <span style="color: #888;">· passage ${section.index + 1} · ${(section.confidence * 100).toFixed(1)}% confidence</span>
+    </div>
+    ${bars}
+  `;
+
+  // Below the passage, or above it near the bottom of the window
+  const box = mark.getBoundingClientRect();
+  const left = Math.max(8, Math.min(box.left, window.innerWidth - 260));
+  const top = box.bottom + 200 < window.innerHeight ? box.bottom + 6 : Math.max(8, box.top - 200);
+  tooltip.style.left = `${left}px`;
+  tooltip.style.top = `${top}px`;
+}
+
+function hideFrameTooltip(e) {
+  if (e.target.closest && e.target.closest(`mark.${FRAME_CLASS}`)) {
+    document.getElementById('narrative-lens-tooltip')?.remove();
+  }
+}
+
+// ============================================================================
+// GLUING-FAILURE HIGHLIGHTS
+// ============================================================================
+
+const HIGHLIGHT_CLASS = 'narrative-lens-tension';
+
+// The sections of the last page analysis and the element they were
+// extracted from, for the side panel's "show passage"
+let pageAnalysis = null;
+
+// Mark both passages of every conflicting pair within root. A passage in
+// several pairs gets one mark listing all of them.
+function highlightGluingFailures(analysis, root) {
+  clearHighlights();
+  if (!analysis || !analysis.gluingFailures) return;
+
+  const conflicts = new Map();  // Section index -> { ranks, titles }
+  analysis.gluingFailures.forEach((pair, rank) => {
+    pair.passages.forEach((passage, side) => {
+      const other = pair.passages[1 - side];
+      const conflict = conflicts.get(passage.index) || { excerpt: passage.excerpt, ranks: [], titles: [] };
+      conflict.ranks.push(rank);
+      conflict.titles.push(`Tension #${rank + 1}: framed as ${passage.label}, but a closely related passage is framed as ${other.label}`);
+      conflicts.set(passage.index, conflict);
+    });
+  });
+
+  // With the page's sections every chunk is looked for in order, so each
+  // passage is found after the ones before it; otherwise just the excerpts
+  const chunks = analysis.sections
+    ? analysis.sections.map(section => ({ index: section.index, text: section.text }))
+    : [...conflicts].map(([index, { excerpt }]) => ({ index, text: excerpt.replace(/…$/, '') }))
+      .sort((a, b) => a.index - b.index);
+  const located = locatePassages(chunks.map(chunk => chunk.text), root);
+
+  const matches = chunks
+    .map((chunk, i) => ({ conflict: conflicts.get(chunk.index), match: located[i] }))
+    .filter(({ conflict, match }) => conflict && match);
+
+  wrapMatches(matches, ({ conflict }) => {
+    const mark = document.createElement('mark');
+    mark.className = HIGHLIGHT_CLASS;
+    mark.dataset.ranks = conflict.ranks.join(' ');
+    mark.title = conflict.titles.join('\n');
+    mark.style.cssText = 'background: rgba(255, 170, 0, 0.35); color: inherit; border-bottom: 2px solid #ffaa00;';
+    return mark;
+  });
+}
+
+function clearHighlights() {
+  unwrapMarks(HIGHLIGHT_CLASS);
+}
+
+// Wrap each { match } in marks from createMark(item). Last match first:
+// splitting a text node leaves the offsets before the split point valid for
+// the matches earlier in it.
+function wrapMatches(items, createMark) {
+  for (const item of [...items].reverse()) {
+    wrapMatch(item.match, () => createMark(item));
+  }
+}
+
+// Text nodes wrapMatch split off the page's own, joined back on unwrapping.
+// Only these are merged: normalizing would also merge text nodes the page
+// keeps apart, which frameworks like React still hold on to.
+const splitTexts = new WeakSet();
+
+// Wrap the matched characters in marks from createMark(), one per text node
+// they fall in. Only text nodes are split, so the page's elements are kept.
+function wrapMatch(match, createMark) {
+  const pieces = new Map();
+  for (const [node, offset] of match) {
+    const piece = pieces.get(node) || { from: offset, to: offset };
+    piece.to = offset + 1;
+    pieces.set(node, piece);
+  }
+
+  for (const [node, { from, to }] of pieces) {
+    const target = node.splitText(from);
+    const rest = target.splitText(to - from);
+    splitTexts.add(target);
+    splitTexts.add(rest);
+
+    const mark = createMark();
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  }
+}
+
+// Undo wrapMatch, keeping any marks of another kind nested inside
+function unwrapMarks(className) {
+  document.querySelectorAll(`mark.${className}`).forEach(mark => {
+    const contents = [...mark.childNodes];
+    const next = mark.nextSibling;
+    mark.replaceWith(...contents);
+    [...contents, next].forEach(joinSplitText);
+  });
+}
+
+// Append a text node wrapMatch split off to the text now before it
+function joinSplitText(node) {
+  if (!splitTexts.has(node)) return;
+  const previous = node.previousSibling;
+  if (!previous || previous.nodeType !== Node.TEXT_NODE) return;
+
+  previous.appendData(node.data);
+  node.remove();
+}
+
+// The [textNode, offset] of each non-whitespace character of every passage,
+// or null where one isn't found. Passages are looked for in order within
+// root, each after the previous match, so repeated text maps to the right
+// occurrence.
+function locatePassages(texts, root) {
+  const { compact, positions } = compactPageText(root);
+
+  let cursor = 0;
+  return texts.map(text => {
+    const needle = text.replace(/\s+/g, '');
+    if (!needle) return null;
+
+    // Fall back to the passage's opening when the rest differs on the page
+    let start = compact.indexOf(needle, cursor);
+    let length = needle.length;
+    if (start === -1 && needle.length > 80) {
+      length = 80;
+      start = compact.indexOf(needle.slice(0, length), cursor);
+    }
+    if (start === -1) return null;
+
+    cursor = start + length;
+    return positions.slice(start, start + length);
+  });
+}
+
+// Select a section of the page analysis and scroll to it, leaving the page's
+// DOM untouched. Without an analysis in this page, the text is looked for in
+// the main content.
+function selectPassage(index, text) {
+  const match = pageAnalysis && pageAnalysis.sections[index]
+    ? locatePassages(pageAnalysis.sections.map(section => section.text), pageAnalysis.root)[index]
+    : locatePassages([text], mainContentRoot())[0];
+  if (!match) return false;
+
+  const [startNode, startOffset] = match[0];
+  const [endNode, endOffset] = match[match.length - 1];
+  const range = document.createRange();
+  range.setStart(startNode, startOffset);
+  range.setEnd(endNode, endOffset + 1);
+
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  startNode.parentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return true;
+}
+
+// Text that isn't the page's reading text, or that can't hold a <mark>
+const SKIPPED_ELEMENTS = 'script, style, noscript, textarea, select, svg, #narrative-lens-overlay, #narrative-lens-legend, #narrative-lens-tooltip';
+
+// Page text without whitespace, and for each character the [textNode,
+// offset] it came from. innerText and the DOM disagree on spacing, and
+// highlights split text nodes mid-word, so only the other characters are
+// compared.
+function compactPageText(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentElement.closest(SKIPPED_ELEMENTS)
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+
+  let compact = '';
+  const positions = [];
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let i = 0; i < value.length; i++) {
+      if (/\s/.test(value[i])) continue;
+      compact += value[i];
+      positions.push([node, i]);
+    }
+  }
+
+  return { compact, positions };
+}
+
+// Overlay section listing the conflicting pairs; items scroll to the marks
+function tensionList(analysis) {
+  if (!analysis.gluingFailures || analysis.gluingFailures.length === 0) return '';
+
+  const items = analysis.gluingFailures.map((pair, rank) => `
+    <div data-tension="${rank}" style="cursor: pointer; margin-top: 6px; padding: 6px; border-left: 2px solid #ffaa00; background: rgba(255, 170, 0, 0.08);">
+      <span style="color: #ffaa00;">#${rank + 1}</span> ${escapeHtml(pair.labels[0])} ↔ ${escapeHtml(pair.labels[1])}
+      <span style="color: #666;">· similarity ${pair.similarity.toFixed(2)}</span>
+    </div>
+  `).join('');
+
+  return `
+    <div style="margin-top: 12px; font-size: 0.8rem;">
+      <strong style="color: #ffaa00;">Where the tension is</strong>
+      <span style="color: #666;">(highlighted on the page)</span>
+      ${items}
+    </div>
+  `;
+}
+
+function scrollToTension(rank) {
+  const mark = document.querySelector(`mark.${HIGHLIGHT_CLASS}[data-ranks~="${rank}"]`);
+  if (mark) mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
 // Get explanation for analysis
 function getExplanation(analysis) {
+  const cover = analysis.cohomology
+    ? `<br><span style="font-size: 0.75rem;">${analysis.cohomology.openSets} passages ·
+      ${analysis.cohomology.h0} connected group${analysis.cohomology.h0 === 1 ? '' : 's'} (H⁰) ·
+      ${analysis.cohomology.h1} unresolved loop${analysis.cohomology.h1 === 1 ? '' : 's'} (H¹)</span>`
+    : '';
+
   if (analysis.cohomologyClass === 0) {
     return `This text presents a coherent narrative structure. The ideas flow consistently
-    through the <strong>${analysis.label}</strong> framework. There are no major internal contradictions detected.`;
+    through the <strong>${escapeHtml(analysis.label)}</strong> framework. Every chain of related passages closes up
+    consistently.${cover}`;
   } else {
-    return `This text shows some internal tension or complexity. It may be presenting multiple
-    perspectives or contain contrasting ideas. The dominant framing is <strong>${analysis.label}</strong>,
-    but other elements are present.`;
+    return `This text shows some internal tension or complexity. Some passages are related in a
+    loop that doesn't close up consistently, which often means multiple perspectives or contrasting
+    ideas. The dominant framing is <strong>${escapeHtml(analysis.label)}</strong>, but other elements are present.${cover}`;
   }
 }
 
-// Simple classifier - connects to background worker
-async function classifyText(text) {
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Simple classifier - connects to background worker. Page analyses are kept
+// by the background for the side panel.
+async function classifyText(text, options = {}, source = 'selection') {
   // Send to background script which has the worker
   return new Promise((resolve) => {
     chrome.runtime.sendMessage({
       type: 'classify',
-      text: text
+      text: text,
+      options: { gluing: true, ...options },
+      source
     }, response => {
       resolve(response);
     });
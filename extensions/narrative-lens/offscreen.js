@@ -0,0 +1,77 @@
+// offscreen.js
+// Narrative Lens - Classifier host
+//
+// MV3 service workers can't create Workers and are stopped when idle, so the
+// classifier worker lives in this offscreen document instead. The background
+// talks to it over a "classifier-host" port carrying the unchanged worker
+// protocol. The worker (and its loaded model) outlives service-worker
+// restarts; each new background reconnects and asks for "host-state".
+
+const worker = new Worker('worker.js?autoInit=false', { type: 'module' });
+
+let port = null;
+let state = 'idle';     // idle → loading → ready
+let readyInfo = null;
+let initId = null;
+
+worker.addEventListener('message', (e) => {
+  const message = e.data;
+
+  if (message.type === 'ready') {
+    state = 'ready';
+    readyInfo = message.info;
+  } else if (message.type === 'error' && message.id === initId) {
+    state = 'idle';
+  }
+
+  send(message);
+});
+
+worker.addEventListener('error', (error) => {
+  console.error('Narrative Lens Worker Error:', error.message);
+  state = 'idle';
+  send({ type: 'error', id: initId, message: `Worker failed: ${error.message}` });
+});
+
+// Replies for a background that has since stopped are dropped; its
+// successor learns the outcome from "host-state"
+function send(message) {
+  if (!port) return;
+  try {
+    port.postMessage(message);
+  } catch (e) {
+    port = null;  // Disconnected before onDisconnect fired
+  }
+}
+
+function connect() {
+  if (port) return;
+
+  port = chrome.runtime.connect({ name: 'classifier-host' });
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'host-state') {
+      send({ type: 'host-state', state, info: readyInfo });
+      return;
+    }
+
+    if (message.type === 'init') {
+      state = 'loading';
+      initId = message.id;
+    }
+    worker.postMessage(message);
+  });
+
+  port.onDisconnect.addListener(() => {
+    port = null;
+  });
+}
+
+// A restarted background asks the surviving document to connect again
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.target === 'offscreen' && request.type === 'reconnect') {
+    connect();
+  }
+});
+
+connect();
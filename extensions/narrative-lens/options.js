@@ -0,0 +1,136 @@
+// options.js
+// Narrative Lens - Settings page
+
+import { LABEL_PRESETS } from './presets.js';
+import { DEFAULT_SETTINGS, PRESET_NAMES, bundledModels, loadSettings, saveSettings } from './settings.js';
+
+const NUMBER_FIELDS = ['maxChunkSize', 'softmaxScale', 'zariskiThreshold'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const presetSelect = document.getElementById('preset');
+  const modelSelect = document.getElementById('model');
+
+  presetSelect.innerHTML = Object.entries(PRESET_NAMES)
+    .map(([key, name]) => `<option value="${key}">${name}</option>`)
+    .join('');
+  // Only bundled models are offered; the default is listed even when its
+  // files are missing so the form always has a value
+  const models = await bundledModels();
+  if (!models.includes(DEFAULT_SETTINGS.model)) models.unshift(DEFAULT_SETTINGS.model);
+  modelSelect.innerHTML = models
+    .map(name => `<option value="${name}">${name}</option>`)
+    .join('');
+
+  buildPrototypeEditor();
+  showSettings(await loadSettings());
+
+  // A preset fills the editor; editing the editor makes it custom
+  presetSelect.addEventListener('change', () => {
+    const preset = LABEL_PRESETS[presetSelect.value];
+    if (preset) fillPrototypes(preset.labels, preset.prototypes.slice(1));
+  });
+  document.getElementById('prototypes').addEventListener('input', () => {
+    presetSelect.value = 'custom';
+  });
+
+  document.getElementById('saveBtn').addEventListener('click', save);
+  document.getElementById('resetBtn').addEventListener('click', () => {
+    showSettings(DEFAULT_SETTINGS);
+    setStatus('Defaults restored. Save to apply.');
+  });
+});
+
+function buildPrototypeEditor() {
+  const rows = [1, 2, 3, 4, 5, 6, 7].map(p => `
+    <div class="prototype-row">
+      <div class="unit">e${p}</div>
+      <input id="label-${p}" type="text" placeholder="Label">
+      <textarea id="prototype-${p}" rows="2" placeholder="Prototype description"></textarea>
+    </div>
+  `);
+  document.getElementById('prototypes').innerHTML = rows.join('');
+}
+
+function fillPrototypes(labels, prototypes) {
+  for (let p = 1; p <= 7; p++) {
+    document.getElementById(`label-${p}`).value = labels[p - 1];
+    document.getElementById(`prototype-${p}`).value = prototypes[p - 1];
+  }
+}
+
+function showSettings(settings) {
+  document.getElementById('preset').value = settings.preset;
+  const modelSelect = document.getElementById('model');
+  modelSelect.value = settings.model;
+  if (modelSelect.value !== settings.model) modelSelect.value = DEFAULT_SETTINGS.model;
+  fillPrototypes(settings.labels, settings.prototypes);
+  for (const field of NUMBER_FIELDS) {
+    document.getElementById(field).value = settings[field];
+  }
+}
+
+// Read and validate the form; throws with a message for the status line
+function readSettings() {
+  const labels = [];
+  const prototypes = [];
+  for (let p = 1; p <= 7; p++) {
+    const label = document.getElementById(`label-${p}`).value.trim();
+    const prototype = document.getElementById(`prototype-${p}`).value.trim();
+    if (!label) throw new Error(`e${p} needs a label`);
+    labels.push(label);
+    prototypes.push(prototype || `Narratives and themes related to ${label.toLowerCase()}`);
+  }
+
+  const settings = {
+    preset: document.getElementById('preset').value,
+    model: document.getElementById('model').value,
+    labels,
+    prototypes
+  };
+
+  for (const field of NUMBER_FIELDS) {
+    const input = document.getElementById(field);
+    const value = Number(input.value);
+    if (!Number.isFinite(value) || value < Number(input.min) || value > Number(input.max)) {
+      throw new Error(`${input.labels[0].textContent} must be between ${input.min} and ${input.max}`);
+    }
+    settings[field] = value;
+  }
+
+  return settings;
+}
+
+async function save() {
+  let settings;
+  try {
+    settings = readSettings();
+  } catch (error) {
+    setStatus(error.message, true);
+    return;
+  }
+
+  try {
+    await saveSettings(settings);
+  } catch (error) {
+    setStatus(`Not saved: ${error.message}`, true);
+    return;
+  }
+  setStatus('Saved. Applying...');
+
+  // The background re-applies stored settings to the running classifier
+  const response = await chrome.runtime.sendMessage({ type: 'applySettings' })
+    .catch(error => ({ error: error.message }));
+  if (response && response.error) {
+    setStatus(`Saved, but not applied: ${response.error}`, true);
+  } else if (response && response.pending) {
+    setStatus('✓ Saved. Applied once the model has loaded.');
+  } else {
+    setStatus('✓ Saved and applied');
+  }
+}
+
+function setStatus(message, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = isError ? 'error' : '';
+}
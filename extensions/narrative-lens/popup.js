@@ -6,6 +6,7 @@ let workerReady = false;
 document.addEventListener('DOMContentLoaded', () => {
   const analyzePageBtn = document.getElementById('analyzePageBtn');
   const optionsBtn = document.getElementById('optionsBtn');
+  const sidePanelBtn = document.getElementById('sidePanelBtn');
   const statusEl = document.getElementById('status');
 
   // Check worker status on popup open
@@ -17,6 +18,14 @@ document.addEventListener('DOMContentLoaded', () => {
       updateStatus(message.message, 'loading', message.progress);
     }
 
+    if (message.type === 'classifyProgress') {
+      updateJob(message);
+    }
+
+    if (message.type === 'classifyDone') {
+      removeJob(message.jobId);
+    }
+
     if (message.type === 'workerReady') {
       workerReady = true;
       statusEl.textContent = '✓ Ready to analyze';
@@ -48,7 +57,13 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
 
-        if (response && response.success) {
+        if (response && response.success && response.analysis?.cancelled) {
+          statusEl.textContent = '✗ Analysis cancelled';
+          statusEl.className = 'status loading';
+        } else if (response && response.success && response.analysis?.error) {
+          statusEl.textContent = '✗ Analysis failed: ' + response.analysis.error;
+          statusEl.className = 'status error';
+        } else if (response && response.success) {
           statusEl.textContent = '✓ Analysis complete!';
           statusEl.className = 'status ready';
 
@@ -66,9 +81,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Full analysis of the current tab. sidePanel.open() must run within the
+  // click itself, so the window isn't looked up first.
+  sidePanelBtn.addEventListener('click', () => {
+    chrome.sidePanel.open({ windowId: chrome.windows.WINDOW_ID_CURRENT });
+    window.close();
+  });
+
   // Open options page
   optionsBtn.addEventListener('click', () => {
-    chrome.tabs.create({ url: chrome.runtime.getURL('options.html') });
+    chrome.runtime.openOptionsPage();
   });
 });
 
@@ -81,9 +103,11 @@ async function checkWorkerStatus() {
       workerReady = true;
       statusEl.textContent = '✓ Ready to analyze';
       statusEl.className = 'status ready';
+    } else if (response && response.error) {
+      showLoadError(response.error);
     } else {
       workerReady = false;
-      statusEl.textContent = '⏳ Loading model (~80MB)...';
+      statusEl.textContent = '⏳ Loading bundled model...';
       statusEl.className = 'status loading';
 
       // Add a progress element
@@ -100,6 +124,9 @@ async function checkWorkerStatus() {
             statusEl.innerHTML = '✓ Ready to analyze';
             statusEl.className = 'status ready';
             clearInterval(interval);
+          } else if (response && response.error) {
+            showLoadError(response.error);
+            clearInterval(interval);
           }
         });
       }, 1000);
@@ -107,6 +134,14 @@ async function checkWorkerStatus() {
   });
 }
 
+// The background reported that the model failed to load
+function showLoadError(message) {
+  const statusEl = document.getElementById('status');
+  workerReady = false;
+  statusEl.textContent = '✗ Model failed to load: ' + message;
+  statusEl.className = 'status error';
+}
+
 // Update status with message and progress
 function updateStatus(message, state = 'loading', progress = null) {
   const statusEl = document.getElementById('status');
@@ -121,6 +156,40 @@ function updateStatus(message, state = 'loading', progress = null) {
   }
 }
 
+// Show or update a progress row for an in-flight classification job
+function updateJob({ jobId, title, chunksDone, totalChunks, elapsedMs }) {
+  let row = document.getElementById(`job-${jobId}`);
+
+  if (!row) {
+    row = document.createElement('div');
+    row.id = `job-${jobId}`;
+    row.className = 'job';
+    row.innerHTML = `
+      <div class="job-info">
+        <div class="job-title"></div>
+        <div class="job-meta"></div>
+        <div class="job-track"><div class="job-fill"></div></div>
+      </div>
+      <button>Cancel</button>
+    `;
+    row.querySelector('.job-title').textContent = title || 'Analysis';
+    row.querySelector('button').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'cancelClassification', jobId });
+    });
+    document.getElementById('jobs').appendChild(row);
+  }
+
+  const pct = totalChunks > 0 ? (chunksDone / totalChunks) * 100 : 0;
+  row.querySelector('.job-meta').textContent =
+    `${chunksDone}/${totalChunks} chunks · ${(elapsedMs / 1000).toFixed(1)}s`;
+  row.querySelector('.job-fill').style.width = `${pct}%`;
+}
+
+function removeJob(jobId) {
+  const row = document.getElementById(`job-${jobId}`);
+  if (row) row.remove();
+}
+
 // Display classification results
 function displayResults(analysis) {
   if (!analysis) return;
@@ -152,6 +221,17 @@ function displayResults(analysis) {
           </span>
         </div>
       ` : ''}
+      ${analysis.activeLabels && analysis.activeLabels.length > 1 ? `
+        <div style="margin-top: 8px; font-size: 0.8rem;">
+          <span style="color: #888;">Active frameworks:</span>
+          <span style="color: #ff00ff;">${analysis.activeLabels.join(' + ')}</span>
+        </div>
+      ` : ''}
+      ${analysis.gluingFailures && analysis.gluingFailures.length > 0 ? `
+        <div style="margin-top: 12px; font-size: 0.8rem; color: #ffaa00;">
+          ${analysis.gluingFailures.length} conflicting passage pair${analysis.gluingFailures.length === 1 ? '' : 's'} highlighted on the page
+        </div>
+      ` : ''}
     </div>
   `;
 
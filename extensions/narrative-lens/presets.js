@@ -0,0 +1,63 @@
+// presets.js
+// Label presets for the octonion classifier
+// Author: Brian (Axiomatic Research Laboratory)
+// License: MIT
+//
+// Each preset names e1..e7 and describes them with the prototype texts the
+// worker embeds. prototypes[0] is unused (the real unit e0), as in the
+// "set-labels" message.
+
+export const LABEL_PRESETS = {
+  chakras: {
+    labels: ["Root", "Sacral", "Solar Plexus", "Heart", "Throat", "Third Eye", "Crown"],
+    prototypes: [
+      "",
+      "A narrative of survival, fear, security, tribal identity, grounding in the material world.",
+      "Stories of pleasure, desire, creativity, emotional flow, relationships, and sensual abundance.",
+      "Themes of personal power, will, confidence, ego, anger, control, and fiery ambition.",
+      "Tales of love, compassion, connection, forgiveness, empathy, and heart-centered unity.",
+      "Expression of truth, voice, communication, authenticity, clarity, and creative speech.",
+      "Intuitive vision, insight, awareness, discernment, third-eye perception, and inner knowing.",
+      "Transcendence, divine unity, surrender, cosmic consciousness, crown awakening, and oneness."
+    ]
+  },
+  sins: {
+    labels: ["Pride", "Greed", "Lust", "Envy", "Gluttony", "Wrath", "Sloth"],
+    prototypes: [
+      "",
+      "Arrogant displays of superiority, elite hypocrisy, self-importance, and vain boasting.",
+      "Greedy pursuits of wealth, power, material accumulation, and exploitation of others.",
+      "Lustful obsessions with desire, seduction, unchecked sensuality, and carnal excess.",
+      "Envious resentment toward others' success, bitter comparison, and zero-sum thinking.",
+      "Gluttonous excess in consumption, spectacular waste, and insatiable indulgence.",
+      "Wrathful calls for conflict, violent punishment, vengeful justice, and destructive rage.",
+      "Slothful apathy, despairing inaction, nihilistic avoidance, and spiritual lethargy."
+    ]
+  },
+  virtues: {
+    labels: ["Humility", "Charity", "Chastity", "Kindness", "Temperance", "Patience", "Diligence"],
+    prototypes: [
+      "",
+      "Humble recognition of limits, service without ego, grounded equality, and modest restraint.",
+      "Generous sharing of abundance, empathetic giving, communal support, and selfless care.",
+      "Pure integrity in desires, sacred boundaries, balanced sensuality, and holy reverence.",
+      "Kind brotherhood, rejoicing in others' good, compassionate connection, and gentle mercy.",
+      "Temperate restraint, mindful consumption, harmonious balance, and moderate discipline.",
+      "Patient endurance, restorative justice, meek strength, and long-suffering forbearance.",
+      "Diligent perseverance toward truth, steadfast fortitude, zealous industry, and tireless devotion."
+    ]
+  },
+  emotions: {
+    labels: ["Fear", "Joy", "Anger", "Sadness", "Surprise", "Disgust", "Trust"],
+    prototypes: [
+      "",
+      "Fear: Narratives of anxiety, threat, danger, avoidance, and protective withdrawal.",
+      "Joy: Stories of happiness, celebration, fulfillment, delight, and positive excitement.",
+      "Anger: Themes of frustration, injustice, confrontation, righteous fury, and aggressive response.",
+      "Sadness: Tales of loss, grief, melancholy, longing, and sorrowful reflection.",
+      "Surprise: Expressions of shock, wonder, unexpected revelation, and startled reaction.",
+      "Disgust: Descriptions of revulsion, contamination, moral offense, and rejecting aversion.",
+      "Trust: Accounts of faith, reliability, safety, confidence, and secure bonding."
+    ]
+  }
+};
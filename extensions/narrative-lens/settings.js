@@ -0,0 +1,65 @@
+// settings.js
+// Narrative Lens - Settings kept in chrome.storage.sync
+//
+// Written by the options page, read by the background on every startup and
+// re-applied to the classifier worker. The prototype texts go to
+// chrome.storage.local: edited ones easily exceed sync's 8 KB per item.
+
+import { LABEL_PRESETS } from './presets.js';
+import { MODEL_PRESETS } from './embedders.js';
+
+export const PRESET_NAMES = {
+  chakras: 'Chakras',
+  sins: 'Seven Sins',
+  virtues: 'Seven Virtues',
+  emotions: 'Emotions',
+  custom: 'Custom'
+};
+
+export const DEFAULT_SETTINGS = {
+  // Model source: only files packaged by "npm run bundle:extension" are
+  // loaded; MV3 forbids remotely hosted code
+  model: 'all-MiniLM-L6-v2',
+  localModelPath: 'models/',
+  transformersPath: 'vendor/transformers.min.js',
+
+  // Ontology: the preset it came from ("custom" once edited) and the labels
+  // and prototype texts for e1..e7 actually sent to the worker
+  preset: 'chakras',
+  labels: LABEL_PRESETS.chakras.labels,
+  prototypes: LABEL_PRESETS.chakras.prototypes.slice(1),
+
+  // Classification
+  maxChunkSize: 512,
+  softmaxScale: 5,
+  zariskiThreshold: 0.8
+};
+
+export async function loadSettings() {
+  // Earlier versions kept the prototypes in sync too; those count until the
+  // next save moves them
+  const [synced, local] = await Promise.all([
+    chrome.storage.sync.get(DEFAULT_SETTINGS),
+    chrome.storage.local.get('prototypes')
+  ]);
+  return { ...synced, ...local };
+}
+
+// Rejects with the storage error, e.g. a sync quota that was exceeded
+export async function saveSettings(settings) {
+  const { prototypes, ...synced } = settings;
+  await chrome.storage.sync.set(synced);
+  await chrome.storage.local.set({ prototypes });
+  await chrome.storage.sync.remove('prototypes');
+}
+
+// Model presets whose files "npm run bundle:extension" put in the extension;
+// no other model can load offline
+export async function bundledModels() {
+  const names = Object.keys(MODEL_PRESETS);
+  const found = await Promise.all(names.map(name => {
+    const url = chrome.runtime.getURL(`${DEFAULT_SETTINGS.localModelPath}${MODEL_PRESETS[name].model}/config.json`);
+    return fetch(url).then(response => response.ok, () => false);
+  }));
+  return names.filter((name, i) => found[i]);
+}
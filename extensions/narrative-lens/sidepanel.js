@@ -0,0 +1,278 @@
+// sidepanel.js
+// Narrative Lens - Side panel with the full analysis of the active tab
+//
+// Page analyses are stored per tab by the background (chrome.storage.session);
+// the panel follows the active tab of its window and re-renders whenever that
+// tab is analyzed again, changes page or is switched to.
+
+let windowId = null;
+let tabId = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  windowId = (await chrome.windows.getCurrent()).id;
+  const [tab] = await chrome.tabs.query({ active: true, windowId });
+  if (tab) showTab(tab);
+
+  chrome.tabs.onActivated.addListener((activeInfo) => {
+    if (activeInfo.windowId !== windowId) return;
+    chrome.tabs.get(activeInfo.tabId).then(showTab);
+  });
+
+  chrome.tabs.onUpdated.addListener((updatedId, changeInfo, tab) => {
+    if (updatedId === tabId && changeInfo.title) showPageTitle(tab);
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'analysisUpdated' && message.tabId === tabId) {
+      loadAnalysis();
+    }
+
+    if (message.type === 'classifyProgress' && message.tabId === tabId) {
+      setStatus(`⏳ Analyzing... ${message.chunksDone}/${message.totalChunks} chunks`, 'loading');
+    }
+
+    if (message.type === 'workerStatus') {
+      setStatus(message.message, 'loading');
+    }
+  });
+
+  document.getElementById('rerunBtn').addEventListener('click', analyzePage);
+
+  document.getElementById('analysis').addEventListener('click', (e) => {
+    const passage = e.target.closest('[data-section]');
+    if (passage) showPassage(passage);
+  });
+});
+
+function showTab(tab) {
+  tabId = tab.id;
+  showPageTitle(tab);
+  loadAnalysis();
+}
+
+function showPageTitle(tab) {
+  const titleEl = document.getElementById('pageTitle');
+  titleEl.textContent = tab.title || tab.url || '';
+  titleEl.title = tab.url || '';
+}
+
+function analysisKey(id) {
+  return `analysis:${id}`;
+}
+
+// Current tab's stored analysis, if it has one
+async function loadAnalysis() {
+  const requestedId = tabId;
+  const key = analysisKey(requestedId);
+  const { [key]: stored } = await chrome.storage.session.get(key);
+  if (requestedId !== tabId) return;  // Switched tabs meanwhile
+
+  const container = document.getElementById('analysis');
+  if (!stored) {
+    container.innerHTML = '';
+    setStatus('No analysis of this page yet. Click "Analyze Entire Page".');
+    return;
+  }
+
+  setStatus(`Analyzed ${new Date(stored.analyzedAt).toLocaleTimeString()}`);
+  container.innerHTML = renderAnalysis(stored.analysis);
+}
+
+// Re-run the page analysis in the current tab. The background stores the
+// result and announces it with "analysisUpdated".
+function analyzePage() {
+  const requestedId = tabId;
+  const button = document.getElementById('rerunBtn');
+  button.disabled = true;
+  setStatus('⏳ Analyzing page...', 'loading');
+
+  chrome.tabs.sendMessage(requestedId, { type: 'analyzePage' }, (response) => {
+    button.disabled = false;
+    if (requestedId !== tabId) return;
+
+    if (chrome.runtime.lastError) {
+      setStatus('✗ Content script not loaded. Try refreshing the page.', 'error');
+    } else if (!response || !response.success) {
+      setStatus('✗ Analysis failed: ' + (response?.error || 'Unknown error'), 'error');
+    } else if (response.analysis?.cancelled) {
+      setStatus('✗ Analysis cancelled');
+    } else if (response.analysis?.error) {
+      setStatus('✗ ' + response.analysis.error, response.analysis.loading ? 'loading' : 'error');
+    }
+  });
+}
+
+// Select a chunk's passage on the page; chunks that can't be found are greyed out
+function showPassage(item) {
+  const message = { type: 'showPassage', index: Number(item.dataset.section), text: item.dataset.text };
+  chrome.tabs.sendMessage(tabId, message, (response) => {
+    if (chrome.runtime.lastError || !response || !response.found) {
+      item.classList.add('missing');
+      item.title = 'Not found on the page';
+    }
+  });
+}
+
+function setStatus(message, state = '') {
+  const statusEl = document.getElementById('status');
+  statusEl.textContent = message;
+  statusEl.className = `status ${state}`;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderAnalysis(analysis) {
+  const labelOf = (dim) => dim === 0 ? 'Real' : analysis.labels[dim - 1];
+
+  return [
+    renderSummary(analysis),
+    renderDistribution(analysis),
+    renderCovers(analysis),
+    renderTrajectories(analysis.trajectory, labelOf),
+    renderSections(analysis.sections)
+  ].join('');
+}
+
+function renderSummary(analysis) {
+  const { h0, h1, openSets } = analysis.cohomology;
+  return `
+    <section>
+      <div class="dominant">${escapeHtml(analysis.label)}</div>
+      <div class="muted" style="margin-bottom: 8px;">Dominant semantic framework</div>
+      <div class="summary">
+        <div>
+          <div class="muted">Coherence</div>
+          <div style="color: ${analysis.cohomologyClass === 0 ? '#00ff88' : '#ffaa00'};">
+            ${analysis.cohomologyClass === 0 ? '✓ Consistent' : '⚠ Contains tensions'}
+          </div>
+        </div>
+        <div>
+          <div class="muted">Confidence</div>
+          <div style="color: #00f5ff;">${(analysis.confidence * 100).toFixed(1)}%</div>
+        </div>
+      </div>
+      <div class="muted" style="margin-top: 8px;">
+        ${openSets} passages · H⁰ = ${h0} · H¹ = ${h1}
+        ${analysis.gluingFailures && analysis.gluingFailures.length > 0
+          ? ` · ${analysis.gluingFailures.length} conflicting pair${analysis.gluingFailures.length === 1 ? '' : 's'} highlighted`
+          : ''}
+      </div>
+    </section>
+  `;
+}
+
+// Bars for e1..e7, scaled to the largest component
+function renderDistribution(analysis) {
+  const max = Math.max(...analysis.vector);
+  const rows = analysis.vector.map((value, i) => `
+    <div class="bar-row${i + 1 === analysis.dominant ? ' dominant-row' : ''}">
+      <div class="bar-label" title="e${i + 1}">${escapeHtml(analysis.labels[i])}</div>
+      <div class="bar-track"><div class="bar-fill" style="width: ${(value / max) * 100}%;"></div></div>
+      <div class="bar-value">${(value * 100).toFixed(1)}%</div>
+    </div>
+  `).join('');
+
+  return `
+    <section>
+      <h2>7D Distribution</h2>
+      ${rows}
+    </section>
+  `;
+}
+
+// Minimal Zariski covers, smallest first
+function renderCovers(analysis) {
+  const { threshold, minimalCovers } = analysis.zariski;
+  const shown = minimalCovers.slice(0, 5);
+  const rest = minimalCovers.length - shown.length;
+
+  const items = shown.map(cover => `
+    <div class="cover">
+      ${cover.labels.map(escapeHtml).join(' + ')}
+      <span class="muted">· ${cover.indices.map(i => `e${i}`).join(' ')} · ${(cover.sum * 100).toFixed(1)}%</span>
+    </div>
+  `).join('');
+
+  return `
+    <section>
+      <h2>Zariski Covers</h2>
+      <div class="muted" style="margin-bottom: 8px;">
+        Minimal sets of frameworks covering ${(threshold * 100).toFixed(0)}% of the mass
+      </div>
+      ${items}
+      ${rest > 0 ? `<div class="muted">+${rest} more</div>` : ''}
+    </section>
+  `;
+}
+
+function renderTrajectories(trajectory, labelOf) {
+  if (!trajectory) return '';
+
+  const items = trajectory.trajectories.map(({ name, result }) => {
+    const rows = result.steps.map(step => `
+      <tr>
+        <td>${step.step}</td>
+        <td class="unit">${step.step === 0 ? escapeHtml(step.element) : escapeHtml(step.input)}</td>
+        <td class="unit">${formatUnit(step.sign, step.dimension)}</td>
+        <td>${escapeHtml(labelOf(step.dimension))}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="trajectory">
+        <strong>${escapeHtml(name)}</strong>
+        <span class="muted">→ ${formatUnit(result.finalSign, result.finalDimension)} ${escapeHtml(result.finalLabel)}</span>
+        <table>
+          <tr><th>Step</th><th>Factor</th><th>Result</th><th>Framework</th></tr>
+          ${rows}
+        </table>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <section>
+      <h2>Trajectories</h2>
+      <div class="muted" style="margin-bottom: 8px;">
+        Octonion propagation from ${escapeHtml(trajectory.startLabel)} (e${trajectory.startDimension})
+      </div>
+      ${items}
+    </section>
+  `;
+}
+
+// One entry per classified chunk; clicking selects the passage on the page
+function renderSections(sections) {
+  if (!sections || sections.length === 0) return '';
+
+  const items = sections.map(section => `
+    <div class="passage" data-section="${section.index}" data-text="${escapeHtml(section.text)}">
+      <strong>#${section.index + 1}</strong> ${escapeHtml(section.label)}
+      <span class="muted">· ${(section.confidence * 100).toFixed(1)}%</span>
+      <div class="passage-text">${escapeHtml(section.text)}</div>
+    </div>
+  `).join('');
+
+  return `
+    <section>
+      <h2>Passages</h2>
+      <div class="muted" style="margin-bottom: 8px;">Click a passage to find it on the page</div>
+      ${items}
+    </section>
+  `;
+}
+
+// ±1 for the real unit, ±eᵢ otherwise
+function formatUnit(sign, dimension) {
+  return `${sign < 0 ? '−' : '+'}${dimension === 0 ? '1' : `e${dimension}`}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
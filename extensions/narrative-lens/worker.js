@@ -4,75 +4,62 @@
 // Author: Brian (Axiomatic Research Laboratory)
 // License: MIT
 
-import { pipeline, env } from 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
-
-// Configure transformers.js
-env.allowLocalModels = false;
-env.allowRemoteModels = true;
-env.backends.onnx.wasm.numThreads = navigator.hardwareConcurrency || 4;
+import { createEmbedder, DEFAULT_MODEL } from './embedders.js';
+import {
+  Octonion,
+  OCT_TABLE,
+  basisProduct,
+  verifyOctonionTable,
+  deriveFanoLines,
+  cayleyDicksonTable,
+  signConventionTables,
+  signConventionIndex,
+  permutations
+} from './octonion.js';
+import { LABEL_PRESETS } from './presets.js';
 
 // State
-let embedder = null;
-let currentLabels = ["Root", "Sacral", "Solar-Plexus", "Heart", "Throat", "Third-Eye", "Crown"];
-let prototypes = [
-  "",  // Index 0 unused (real scalar)
-  "A narrative of survival, fear, security, tribal identity, grounding in the material world.",
-  "Stories of pleasure, desire, creativity, emotional flow, relationships, and sensual abundance.",
-  "Themes of personal power, will, confidence, ego, anger, control, and fiery ambition.",
-  "Tales of love, compassion, connection, forgiveness, empathy, and heart-centered unity.",
-  "Expression of truth, voice, communication, authenticity, clarity, and creative speech.",
-  "Intuitive vision, insight, awareness, discernment, third-eye perception, and inner knowing.",
-  "Transcendence, divine unity, surrender, cosmic consciousness, crown awakening, and oneness."
-];
+let embedder = null;  // { type, name, dimensions, embed(texts) }
+let activeRequestId;  // Correlation id of the request being processed
+// Default ontology: the Chakra preset (see presets.js)
+let currentLabels = [...LABEL_PRESETS.chakras.labels];
+let prototypes = [...LABEL_PRESETS.chakras.prototypes];
 
 let prototypeEmbeddings = null;  // Cache
+let softmaxScale = 5;  // Sharpness of the similarity softmax, see scoreEmbedding
 let modelHash = null;  // For integrity verification
 
-// Octonion multiplication table (Fano plane structure)
-// Each entry: [sign, index] where sign ∈ {-1, 1} and index ∈ {0..7}
-// e_i * e_j = sign * e_k according to Fano plane
-const octTable = [
-  null,  // e_0 (real scalar - not used in multiplication)
-  [null, [-1,0], [1,4], [1,7], [-1,2], [1,6], [-1,5], [-1,3]],  // e_1
-  [null, [-1,4], [-1,0], [1,5], [1,1], [-1,3], [1,7], [-1,6]],  // e_2
-  [null, [-1,7], [-1,5], [-1,0], [1,6], [1,2], [-1,4], [1,1]],  // e_3
-  [null, [1,2], [-1,1], [-1,6], [-1,0], [1,7], [1,3], [-1,5]],  // e_4
-  [null, [-1,6], [1,3], [-1,2], [-1,7], [-1,0], [1,1], [1,4]],  // e_5
-  [null, [1,5], [-1,7], [1,4], [-1,3], [-1,1], [-1,0], [1,2]],  // e_6
-  [null, [1,3], [1,6], [-1,1], [1,5], [-1,4], [-1,2], [-1,0]]   // e_7
-];
+// Octonion multiplication table (Fano plane structure), see octonion.js.
+// Replaced at runtime by "set-oct-table".
+let octTable = OCT_TABLE;
+let octTableName = "default";
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
-async function initEngine() {
+async function initEngine(options = {}) {
   try {
-    postMessage({ type: "status", message: "Loading MiniLM model (~80MB)..." });
-
-    // Load sentence transformer
-    embedder = await pipeline(
-      'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2',
-      {
-        quantized: true,
-        progress_callback: (progress) => {
-          if (progress.status === 'progress') {
-            const pct = ((progress.loaded / progress.total) * 100).toFixed(0);
-            postMessage({
-              type: "status",
-              message: `Loading model: ${pct}%`,
-              progress: parseFloat(pct)
-            });
-          }
-        }
-      }
-    );
+    const embedderConfig = options.embedder || {};
+    const modelName = embedderConfig.type === 'hash'
+      ? 'hash embedder'
+      : (embedderConfig.model || DEFAULT_MODEL);
+
+    reply({ type: "status", message: `Loading ${modelName}...` });
+
+    // Load sentence embedder (transformers.js model or offline hash backend)
+    embedder = await createEmbedder(embedderConfig, (pct) => {
+      reply({
+        type: "status",
+        message: `Loading model: ${pct.toFixed(0)}%`,
+        progress: parseFloat(pct.toFixed(0))
+      });
+    });
 
     // Verify Fano plane structure
     const fanoCheck = verifyFanoStructure();
     if (!fanoCheck.valid) {
-      postMessage({
+      reply({
         type: "warning",
         message: `Fano structure warnings: ${fanoCheck.warnings.join(', ')}`
       });
@@ -81,18 +68,22 @@ async function initEngine() {
     // Pre-compute prototype embeddings
     await updatePrototypeEmbeddings();
 
-    postMessage({
+    reply({
       type: "ready",
       info: {
-        model: "all-MiniLM-L6-v2",
-        dimensions: 384,
+        model: embedder.name,
+        embedder: embedder.type,
+        dimensions: embedder.dimensions,
         labels: currentLabels,
-        fanoValid: fanoCheck.valid
+        prototypes: prototypes.slice(1),
+        softmaxScale,
+        fanoValid: fanoCheck.valid,
+        octTable: describeOctTable()
       }
     });
 
   } catch (error) {
-    postMessage({
+    reply({
       type: "error",
       message: `Initialization failed: ${error.message}`,
       stack: error.stack
@@ -104,53 +95,66 @@ async function initEngine() {
 // FANO PLANE VERIFICATION
 // ============================================================================
 
-function verifyFanoStructure() {
-  const warnings = [];
-  let valid = true;
+// Derives the Fano lines from octTable and checks squares, anti-commutativity,
+// quaternion triples, alternativity, Moufang identities and |xy| = |x||y|
+function verifyFanoStructure(options = {}) {
+  return verifyOctonionTable(octTable, options);
+}
 
-  // Test anti-commutativity: e_i * e_j = -e_j * e_i
-  for (let i = 1; i <= 7; i++) {
-    for (let j = i + 1; j <= 7; j++) {
-      const ij = octTable[i][j];
-      const ji = octTable[j][i];
+// ============================================================================
+// MULTIPLICATION TABLE
+// ============================================================================
 
-      if (!ij || !ji) continue;
+// Which algebra produced a result: recorded in ready/classification replies
+function describeOctTable() {
+  return {
+    name: octTableName,
+    lines: deriveFanoLines(octTable),
+    table: octTable
+  };
+}
 
-      if (ij[1] !== ji[1] || ij[0] !== -ji[0]) {
-        warnings.push(`Anti-commutativity fails: e${i}*e${j} ≠ -e${j}*e${i}`);
-        valid = false;
-      }
-    }
+// data: { table } for an explicit table, or { generator, index } with
+// generator "default", "cayley-dickson" or "sign-convention" (index 0..479)
+function resolveOctTable(data = {}) {
+  if (data.table) {
+    return { table: data.table, name: data.name || "custom" };
   }
 
-  // Test Fano plane cycles (should have consistent signs)
-  const fanoCycles = [
-    [1, 2, 4],  // Cycle 1
-    [2, 3, 5],  // Cycle 2
-    [3, 4, 6],  // Cycle 3
-    [4, 5, 7],  // Cycle 4
-    [5, 6, 1],  // Cycle 5
-    [6, 7, 2],  // Cycle 6
-    [7, 1, 3]   // Cycle 7
-  ];
+  switch (data.generator) {
+    case "default":
+      return { table: OCT_TABLE, name: "default" };
 
-  for (const cycle of fanoCycles) {
-    const [a, b, c] = cycle;
-    const ab = octTable[a][b];
-    const bc = octTable[b][c];
-    const ca = octTable[c][a];
+    case "cayley-dickson":
+      return { table: cayleyDicksonTable(), name: "cayley-dickson" };
 
-    if (!ab || !bc || !ca) continue;
-
-    // Should form a consistent triple
-    const product = ab[0] * bc[0] * ca[0];
-    if (product !== -1 && product !== 1) {
-      warnings.push(`Fano cycle [${a},${b},${c}] inconsistent`);
-      valid = false;
+    case "sign-convention": {
+      const conventions = signConventionTables();
+      const index = data.index;
+      if (!Number.isInteger(index) || index < 0 || index >= conventions.length) {
+        throw new Error(`Sign convention index must be 0..${conventions.length - 1}, got ${index}`);
+      }
+      return { table: conventions[index], name: `sign-convention-${index}` };
     }
+
+    default:
+      throw new Error(`Unknown table generator: ${data.generator}`);
+  }
+}
+
+// Validate a candidate table and make it the active one; an invalid table
+// is rejected and the current table stays in place
+function setOctTable(data) {
+  const { table, name } = resolveOctTable(data);
+  const verification = verifyOctonionTable(table);
+
+  if (!verification.valid) {
+    throw new Error(`Rejected multiplication table: ${verification.warnings.slice(0, 5).join('; ')}`);
   }
 
-  return { valid, warnings };
+  octTable = table;
+  octTableName = name;
+  return verification;
 }
 
 // ============================================================================
@@ -158,18 +162,11 @@ function verifyFanoStructure() {
 // ============================================================================
 
 async function updatePrototypeEmbeddings() {
-  postMessage({ type: "status", message: "Computing prototype embeddings..." });
+  reply({ type: "status", message: "Computing prototype embeddings..." });
 
-  prototypeEmbeddings = [];
-  for (let i = 1; i < prototypes.length; i++) {
-    const output = await embedder(prototypes[i], {
-      pooling: 'mean',
-      normalize: true
-    });
-    prototypeEmbeddings.push(Array.from(output.data));
-  }
+  prototypeEmbeddings = await embedder.embed(prototypes.slice(1));
 
-  postMessage({ type: "status", message: "Prototypes ready" });
+  reply({ type: "status", message: "Prototypes ready" });
 }
 
 function cosineSimilarity(a, b) {
@@ -183,56 +180,178 @@ function cosineSimilarity(a, b) {
 }
 
 // ============================================================================
-// TEXT CLASSIFICATION
+// LABEL ASSIGNMENT
 // ============================================================================
 
-async function classifyText(text, options = {}) {
-  if (!embedder) throw new Error("Embedder not initialized");
-  if (!prototypeEmbeddings) await updatePrototypeEmbeddings();
+// Every pair of points lies on exactly one Fano line, so summed pairwise
+// similarity is the same for every labeling. A line scores its weakest pair
+// instead: it is high only when all three labels are related.
+function lineScore(similarity, [a, b, c]) {
+  return Math.min(similarity[a][b], similarity[a][c], similarity[b][c]);
+}
 
+// assignment[p - 1] is the index (into currentLabels) of the label at e_p
+function assignmentFit(similarity, lines, assignment) {
+  const total = lines.reduce((sum, line) =>
+    sum + lineScore(similarity, line.map(p => assignment[p - 1])), 0);
+  return total / lines.length;
+}
+
+// Placement of the current labels that best fits their prototype similarity
+function optimizeLabelAssignment() {
+  if (!prototypeEmbeddings) {
+    throw new Error("Engine not initialized");
+  }
+
+  const similarity = prototypeEmbeddings.map(a => prototypeEmbeddings.map(b => cosineSimilarity(a, b)));
+  return searchLabelAssignment(similarity);
+}
+
+// Exhaustive search over the 7! placements of the current labels on the
+// Fano points of octTable. The baseline is the exact distribution of fit
+// over all placements, i.e. a uniformly random labeling.
+function searchLabelAssignment(similarity) {
+  const lines = deriveFanoLines(octTable);
+  const identity = [0, 1, 2, 3, 4, 5, 6];
+
+  const fits = [];
+  let best = { assignment: identity, fit: -Infinity };
+  for (const assignment of permutations(identity)) {
+    const fit = assignmentFit(similarity, lines, assignment);
+    fits.push(fit);
+    if (fit > best.fit) best = { assignment, fit };  // Ties keep the current order
+  }
+
+  const mean = fits.reduce((a, b) => a + b, 0) / fits.length;
+  const std = Math.sqrt(fits.reduce((sum, f) => sum + (f - mean) ** 2, 0) / fits.length);
+  const currentFit = fits[0];
+
+  const describe = (assignment, fit) => ({
+    assignment,
+    labels: assignment.map(i => currentLabels[i]),
+    fit,
+    zScore: std > 0 ? (fit - mean) / std : 0,
+    percentile: fits.filter(f => f <= fit).length / fits.length,
+    lines: lines.map(line => ({
+      points: line,
+      labels: line.map(p => currentLabels[assignment[p - 1]]),
+      score: lineScore(similarity, line.map(p => assignment[p - 1]))
+    }))
+  });
+
+  return {
+    current: describe(identity, currentFit),
+    best: describe(best.assignment, best.fit),
+    baseline: {
+      mean,
+      std,
+      min: Math.min(...fits),
+      max: Math.max(...fits)
+    },
+    improvement: best.fit - currentFit
+  };
+}
+
+// Reorder labels, prototypes and their cached embeddings so that the label
+// previously at index assignment[p - 1] now sits at e_p
+function applyLabelAssignment(assignment) {
+  currentLabels = assignment.map(i => currentLabels[i]);
+  prototypes = [prototypes[0], ...assignment.map(i => prototypes[i + 1])];
+  prototypeEmbeddings = assignment.map(i => prototypeEmbeddings[i]);
+}
+
+// ============================================================================
+// TEXT CLASSIFICATION
+// ============================================================================
+
+// Intelligent chunking (preserve sentences), dropping trivial chunks.
+// Returns { text, start, end } spans with character offsets into `text`.
+function chunkText(text, options = {}) {
   const maxChunkSize = options.maxChunkSize || 512;
   const minChunkSize = options.minChunkSize || 100;
 
-  // Intelligent chunking (preserve sentences)
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+  const sentences = [...text.matchAll(/[^.!?]+[.!?]+/g)];
+  if (sentences.length === 0) sentences.push({ 0: text, index: 0 });
+
   const chunks = [];
-  let currentChunk = "";
+  let current = null;  // { start, end } of the chunk being built
 
   for (const sentence of sentences) {
-    if ((currentChunk + sentence).length > maxChunkSize) {
-      if (currentChunk.length >= minChunkSize) {
-        chunks.push(currentChunk);
-        currentChunk = sentence;
-      } else {
-        currentChunk += sentence;
-      }
+    const start = sentence.index;
+    const end = start + sentence[0].length;
+
+    if (current && (end - current.start) > maxChunkSize && (current.end - current.start) >= minChunkSize) {
+      chunks.push(current);
+      current = null;
+    }
+
+    if (current) {
+      current.end = end;
     } else {
-      currentChunk += sentence;
+      current = { start, end };
     }
   }
-  if (currentChunk) chunks.push(currentChunk);
+  if (current) chunks.push(current);
+
+  return chunks
+    .map(({ start, end }) => {
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      return { text: trimmed, start: start + leading, end: start + leading + trimmed.length };
+    })
+    .filter(chunk => chunk.text.length >= 10);
+}
+
+// onProgress({ chunksDone, totalChunks, elapsedMs }) fires after each chunk;
+// cancellation is checked between chunks. With options.sections the result
+// also carries every chunk's span and local classification; with
+// options.timeline, the sliding-window trajectory (windows count as chunks
+// for progress); with options.gluing, the passage pairs that fail to glue.
+async function classifyText(text, options = {}, onProgress = () => {}) {
+  if (!embedder) throw new Error("Embedder not initialized");
+  if (!prototypeEmbeddings) await updatePrototypeEmbeddings();
+
+  const chunks = chunkText(text, options);
+  const timelineOptions = options.timeline === true ? {} : options.timeline;
+  const windows = timelineOptions ? timelineWindows(text, timelineOptions) : [];
+  const totalChunks = chunks.length + windows.length;
 
   // Compute average embedding across chunks
-  let avgEmbedding = new Array(384).fill(0);
+  const dims = embedder.dimensions;
+  let avgEmbedding = new Array(dims).fill(0);
   let validChunks = 0;
+  const chunkEmbeddings = [];
+  const sections = [];
+  const startTime = performance.now();
+
+  onProgress({ chunksDone: 0, totalChunks, elapsedMs: 0 });
 
-  for (const chunk of chunks) {
-    if (chunk.trim().length < 10) continue;  // Skip trivial chunks
+  for (let c = 0; c < chunks.length; c++) {
+    await yieldToMessages();
+    throwIfCancelled();
 
     try {
-      const output = await embedder(chunk.trim(), {
-        pooling: 'mean',
-        normalize: true
-      });
-      const embedding = Array.from(output.data);
+      const [embedding] = await embedder.embed([chunks[c].text]);
 
-      for (let i = 0; i < 384; i++) {
+      for (let i = 0; i < dims; i++) {
         avgEmbedding[i] += embedding[i];
       }
       validChunks++;
+      chunkEmbeddings.push(embedding);
+
+      if (options.sections || options.holonomy || options.gluing) {
+        sections.push(buildSection(sections.length, chunks[c], embedding));
+      }
     } catch (e) {
       console.warn("Chunk embedding failed:", e);
     }
+
+    onProgress({
+      chunksDone: c + 1,
+      totalChunks,
+      elapsedMs: Math.round(performance.now() - startTime)
+    });
   }
 
   if (validChunks === 0) {
@@ -240,38 +359,307 @@ async function classifyText(text, options = {}) {
   }
 
   // Normalize average
-  for (let i = 0; i < 384; i++) {
+  for (let i = 0; i < dims; i++) {
     avgEmbedding[i] /= validChunks;
   }
 
+  const result = classifyEmbedding(avgEmbedding, chunkEmbeddings, options);
+  if (options.sections) result.sections = sections;
+  if (options.gluing) {
+    const gluingOptions = options.gluing === true ? {} : options.gluing;
+    result.gluingFailures = localizeGluingFailures(sections, chunkEmbeddings, result.cohomology, gluingOptions);
+  }
+  if (options.holonomy) {
+    const holonomyOptions = options.holonomy === true ? {} : options.holonomy;
+    result.holonomy = observedHolonomy(sections.map(section => section.dominant), holonomyOptions);
+  }
+
+  if (timelineOptions) {
+    const points = [];
+    for (let w = 0; w < windows.length; w++) {
+      await yieldToMessages();
+      throwIfCancelled();
+
+      const [embedding] = await embedder.embed([windows[w].text]);
+      points.push({ ...windows[w], ...scoreEmbedding(embedding) });
+
+      onProgress({
+        chunksDone: chunks.length + w + 1,
+        totalChunks,
+        elapsedMs: Math.round(performance.now() - startTime)
+      });
+    }
+    result.timeline = buildTimeline(points, timelineOptions);
+  }
+
+  return result;
+}
+
+// Prototype similarities → softmax distribution → dominant dimension
+function scoreEmbedding(embedding) {
   // Compute similarities to prototypes
   const rawVector = prototypeEmbeddings.map(protoEmb =>
-    cosineSimilarity(avgEmbedding, protoEmb)
+    cosineSimilarity(embedding, protoEmb)
   );
 
   // Softmax normalization for probability distribution
-  const expScores = rawVector.map(x => Math.exp(Math.max(0, x) * 5));  // Scale factor
+  const expScores = rawVector.map(x => Math.exp(Math.max(0, x) * softmaxScale));
   const sumExp = expScores.reduce((a, b) => a + b, 0);
   const vector = expScores.map(x => x / sumExp);
 
   // Find dominant dimension
-  const maxScore = Math.max(...vector);
-  const dominant = vector.indexOf(maxScore) + 1;
+  const confidence = Math.max(...vector);
+  const dominant = vector.indexOf(confidence) + 1;
+
+  return { rawVector, vector, dominant, confidence };
+}
+
+// A local section: one chunk's span and its own 7D classification
+function buildSection(index, chunk, embedding) {
+  const { vector, dominant, confidence } = scoreEmbedding(embedding);
+  return {
+    index,
+    start: chunk.start,
+    end: chunk.end,
+    text: chunk.text,
+    vector,
+    dominant,
+    label: currentLabels[dominant - 1],
+    confidence
+  };
+}
+
+// Project a document embedding onto the 7 prototypes. The cohomology is
+// computed over the cover by the document's chunks (see cechCohomology).
+// options: { cech, zariskiThreshold } from the classify options.
+function classifyEmbedding(avgEmbedding, chunkEmbeddings, options = {}) {
+  const { rawVector, vector, dominant, confidence: maxScore } = scoreEmbedding(avgEmbedding);
 
   // Compute cohomological invariants
-  const cohomology = computeCohomologyClass(vector);
-  const zariski = zariskiCoverings(vector);
+  const cohomology = cechCohomology(chunkEmbeddings, options.cech);
+  const zariski = zariskiCoverings(vector, options.zariskiThreshold);
+  const fano = fanoLineScores(vector, chunkEmbeddings.map(e => scoreEmbedding(e).vector));
 
   return {
     dominant,
     label: currentLabels[dominant - 1],
     vector,
+    octonion: Octonion.fromVector(vector, octTable).components,  // e0 + Σ vᵢeᵢ
     rawVector,
     avgEmbedding,
-    cohomologyClass: cohomology,
-    zariskiCoverings: zariski.length,
+    cohomologyClass: cohomology.h1 > 0 ? 1 : 0,  // Tension: a loop of overlaps that doesn't fill in
+    cohomology,
+    zariskiCoverings: zariski.covers,
+    zariski,
+    fano,
     confidence: maxScore,
-    chunksProcessed: validChunks
+    chunksProcessed: chunkEmbeddings.length
+  };
+}
+
+// ============================================================================
+// NARRATIVE TIMELINE
+// ============================================================================
+
+// Overlapping windows of ~windowSize characters every `stride` characters,
+// with edges snapped to whitespace so words aren't cut in half
+function timelineWindows(text, options = {}) {
+  const windowSize = options.windowSize || 800;
+  const stride = options.stride || Math.floor(windowSize / 2);
+  if (stride <= 0) throw new Error("Timeline stride must be positive");
+
+  const snap = (pos) => {
+    if (pos <= 0 || pos >= text.length) return Math.max(0, Math.min(pos, text.length));
+    const next = text.slice(pos).search(/\s/);
+    return next === -1 ? text.length : pos + next;
+  };
+
+  const windows = [];
+  for (let pos = 0; pos < text.length; pos += stride) {
+    const from = snap(pos);
+    const to = snap(pos + windowSize);
+    const raw = text.slice(from, to);
+    const slice = raw.trim();
+
+    // Offsets of the trimmed text, as for the chunk spans
+    if (slice.length >= 10) {
+      const start = from + raw.length - raw.trimStart().length;
+      windows.push({ index: windows.length, start, end: start + slice.length, text: slice });
+    }
+    if (to >= text.length) break;
+  }
+
+  return windows;
+}
+
+// Jensen–Shannon divergence (bits) between two distributions
+function jensenShannon(p, q) {
+  const kl = (a, m) => a.reduce((sum, ai, i) => ai > 0 ? sum + ai * Math.log2(ai / m[i]) : sum, 0);
+  const m = p.map((pi, i) => (pi + q[i]) / 2);
+  return (kl(p, m) + kl(q, m)) / 2;
+}
+
+// A change point is a window whose dominant dimension differs from the
+// previous one, or whose distribution moved more than `sensitivity` standard
+// deviations above the mean step-to-step divergence.
+function buildTimeline(points, options = {}) {
+  const sensitivity = options.sensitivity ?? 2;
+
+  const shifts = points.slice(1).map((point, i) => jensenShannon(points[i].vector, point.vector));
+  const mean = shifts.reduce((a, b) => a + b, 0) / (shifts.length || 1);
+  const std = Math.sqrt(shifts.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (shifts.length || 1));
+  const shiftThreshold = mean + sensitivity * std;
+
+  const changePoints = [];
+  shifts.forEach((shift, i) => {
+    const prev = points[i];
+    const next = points[i + 1];
+    const reasons = [];
+
+    if (next.dominant !== prev.dominant) reasons.push("dominant");
+    if (std > 0 && shift > shiftThreshold) reasons.push("distribution");
+
+    if (reasons.length > 0) {
+      changePoints.push({
+        window: next.index,
+        position: next.start,
+        from: { dominant: prev.dominant, label: currentLabels[prev.dominant - 1] },
+        to: { dominant: next.dominant, label: currentLabels[next.dominant - 1] },
+        shift,
+        reasons
+      });
+    }
+  });
+
+  return {
+    labels: currentLabels,
+    windows: points.map(({ index, start, end, vector, dominant, confidence }) => ({
+      index,
+      start,
+      end,
+      vector,
+      dominant,
+      label: currentLabels[dominant - 1],
+      confidence
+    })),
+    shifts,
+    shiftThreshold,
+    changePoints
+  };
+}
+
+// ============================================================================
+// BATCH CLASSIFICATION
+// ============================================================================
+
+// Chunks from consecutive documents are pooled and embedded batchSize at a
+// time. onResult({ docId, result | error }) fires as each document completes.
+async function classifyBatch(documents, options = {}, onResult = () => {}) {
+  if (!embedder) throw new Error("Embedder not initialized");
+  if (!prototypeEmbeddings) await updatePrototypeEmbeddings();
+
+  const batchSize = options.batchSize || 32;
+  const dims = embedder.dimensions;
+  const docs = documents.map((doc, index) => ({
+    docId: doc?.id ?? index,
+    sum: new Array(dims).fill(0),
+    embeddings: [],  // Per chunk, in order, for the Čech cover
+    embedded: 0,
+    remaining: 0
+  }));
+  let buffer = [];  // { doc, text, position }
+
+  function finishDocument(doc) {
+    if (doc.embedded === 0) {
+      onResult({ docId: doc.docId, error: "No valid chunks to embed" });
+      return;
+    }
+    const avgEmbedding = doc.sum.map(x => x / doc.embedded);
+    const { avgEmbedding: _, ...result } = classifyEmbedding(avgEmbedding, doc.embeddings.filter(Boolean), options);
+    doc.embeddings = null;
+    onResult({
+      docId: doc.docId,
+      result: options.includeEmbeddings ? { ...result, avgEmbedding } : result
+    });
+  }
+
+  async function flush() {
+    await yieldToMessages();
+    throwIfCancelled();
+
+    const batch = buffer;
+    buffer = [];
+
+    let embeddings;
+    try {
+      embeddings = await embedder.embed(batch.map(item => item.text));
+    } catch (e) {
+      console.warn("Batch embedding failed:", e);
+      embeddings = [];
+    }
+
+    batch.forEach((item, k) => {
+      const embedding = embeddings[k];
+      if (embedding) {
+        for (let i = 0; i < dims; i++) item.doc.sum[i] += embedding[i];
+        item.doc.embeddings[item.position] = embedding;
+        item.doc.embedded++;
+      }
+      item.doc.remaining--;
+      if (item.doc.remaining === 0) finishDocument(item.doc);
+    });
+  }
+
+  for (let d = 0; d < documents.length; d++) {
+    const doc = docs[d];
+    const text = documents[d]?.text ?? "";
+
+    // A bad document fails alone; the rest of the batch carries on
+    if (typeof text !== "string") {
+      onResult({ docId: doc.docId, error: `Document text must be a string, got ${typeof text}` });
+      continue;
+    }
+
+    const chunks = chunkText(text, options);
+
+    if (chunks.length === 0) {
+      finishDocument(doc);
+      continue;
+    }
+
+    doc.remaining = chunks.length;
+    for (let position = 0; position < chunks.length; position++) {
+      buffer.push({ doc, text: chunks[position].text, position });
+      if (buffer.length >= batchSize) await flush();
+    }
+  }
+
+  if (buffer.length > 0) await flush();
+}
+
+function summarizeBatch(results) {
+  const classified = results.filter(r => r.result);
+  const meanVector = new Array(7).fill(0);
+  const histogram = currentLabels.map((label, i) => ({ dimension: i + 1, label, count: 0 }));
+  const cohomologySplit = { 0: 0, 1: 0 };
+
+  for (const { result } of classified) {
+    result.vector.forEach((v, i) => { meanVector[i] += v; });
+    histogram[result.dominant - 1].count++;
+    cohomologySplit[result.cohomologyClass]++;
+  }
+
+  if (classified.length > 0) {
+    for (let i = 0; i < 7; i++) meanVector[i] /= classified.length;
+  }
+
+  return {
+    documents: results.length,
+    classified: classified.length,
+    failed: results.length - classified.length,
+    meanVector,
+    dominantHistogram: histogram,
+    cohomologySplit
   };
 }
 
@@ -279,38 +667,308 @@ async function classifyText(text, options = {}) {
 // COHOMOLOGICAL INVARIANTS
 // ============================================================================
 
-function computeCohomologyClass(vector) {
-  // Compute H¹(RP⁶; Z/2Z) via sign pattern analysis
-  // Detects topological "winding" in the probability simplex
+// Z/2 Čech cohomology of the cover of a document by its chunks.
+// Open sets are chunks (consecutive runs of chunks beyond maxOpenSets); two
+// overlap when they share a dominant label and/or their embeddings are
+// similar, and a triple overlaps when all three pairs do, so the nerve is
+// the flag complex of the overlap graph. options:
+//   overlap: "label" | "similarity" | "either" (default)
+//   similarityThreshold: cosine for a similarity overlap (default 0.5)
+//   maxOpenSets: cover size cap (default 48)
+//   maxCocycles: representatives returned (default 10)
+function cechCohomology(chunkEmbeddings, options = {}) {
+  const overlap = options.overlap || "either";
+  const threshold = options.similarityThreshold ?? 0.5;
+  const maxCocycles = options.maxCocycles ?? 10;
+  const openSets = buildOpenSets(chunkEmbeddings, options.maxOpenSets || 48);
+  const n = openSets.length;
+
+  const overlaps = (a, b) => {
+    const sameLabel = a.dominant === b.dominant;
+    const similar = cosineSimilarity(a.embedding, b.embedding) >= threshold;
+    if (overlap === "label") return sameLabel;
+    if (overlap === "similarity") return similar;
+    return sameLabel || similar;
+  };
+
+  // Nerve: vertices, edges (i < j) and triangles (i < j < k)
+  const adjacent = openSets.map(() => new Array(n).fill(false));
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (overlaps(openSets[i], openSets[j])) {
+        adjacent[i][j] = adjacent[j][i] = true;
+        edges.push([i, j]);
+      }
+    }
+  }
 
-  const threshold = 0.1;
-  let signChanges = 0;
+  const triangles = [];
+  for (const [i, j] of edges) {
+    for (let k = j + 1; k < n; k++) {
+      if (adjacent[i][k] && adjacent[j][k]) triangles.push([i, j, k]);
+    }
+  }
 
-  for (let i = 0; i < 7; i++) {
-    const diff = vector[(i + 1) % 7] - vector[i];
-    if (Math.abs(diff) > threshold) {
-      signChanges += diff > 0 ? 1 : 0;
+  // H⁰: connected components. A spanning forest also fixes the gauge for
+  // H¹: every 1-cochain is cohomologous to exactly one that vanishes on the
+  // forest, so H¹ ≅ { φ on non-tree edges : δφ = 0 on every triangle }.
+  const parent = openSets.map((_, i) => i);
+  const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+  const column = new Map();  // Non-tree edge key → cochain column
+  const nonTree = [];
+
+  for (const [i, j] of edges) {
+    const ri = find(i), rj = find(j);
+    if (ri !== rj) {
+      parent[ri] = rj;
+    } else {
+      column.set(i * n + j, nonTree.length);
+      nonTree.push([i, j]);
+    }
+  }
+  const h0 = openSets.filter((_, i) => find(i) === i).length;
+
+  // Row-reduce the coboundary constraints over GF(2) as bitsets. Stop early
+  // once they have full rank: then H¹ = 0.
+  const m = nonTree.length;
+  const words = Math.ceil(m / 32);
+  const pivots = new Map();  // Lowest set column → row
+
+  for (const [i, j, k] of triangles) {
+    if (pivots.size === m) break;
+
+    const row = new Uint32Array(words);
+    for (const key of [i * n + j, i * n + k, j * n + k]) {
+      const c = column.get(key);
+      if (c !== undefined) row[c >>> 5] ^= 1 << (c & 31);
+    }
+
+    for (let p = lowestBit(row); p !== -1; p = lowestBit(row)) {
+      const pivotRow = pivots.get(p);
+      if (!pivotRow) {
+        pivots.set(p, row);
+        break;
+      }
+      for (let w = 0; w < words; w++) row[w] ^= pivotRow[w];
+    }
+  }
+
+  const h1 = m - pivots.size;
+
+  // Representatives: reduced row echelon form, one cocycle per free column
+  const cocycles = [];
+  if (h1 > 0) {
+    const order = [...pivots.keys()].sort((a, b) => b - a);
+    for (const p of order) {
+      const pivotRow = pivots.get(p);
+      for (const q of order) {
+        const row = pivots.get(q);
+        if (q < p && (row[p >>> 5] >>> (p & 31)) & 1) {
+          for (let w = 0; w < words; w++) row[w] ^= pivotRow[w];
+        }
+      }
+    }
+
+    for (let f = 0; f < m && cocycles.length < maxCocycles; f++) {
+      if (pivots.has(f)) continue;
+      const support = [nonTree[f]];
+      for (const [p, row] of pivots) {
+        if ((row[f >>> 5] >>> (f & 31)) & 1) support.push(nonTree[p]);
+      }
+      cocycles.push({
+        edges: support.sort((a, b) => a[0] - b[0] || a[1] - b[1]),
+        labels: support.map(([a, b]) => [openSets[a].label, openSets[b].label])
+      });
+    }
+  }
+
+  return {
+    overlap,
+    similarityThreshold: threshold,
+    openSets: openSets.map(({ index, chunks, dominant, label }) => ({ index, chunks, dominant, label })),
+    nerve: { vertices: n, edges, triangles },
+    h0,
+    h1,
+    cocycles
+  };
+}
+
+// One open set per chunk, or per run of consecutive chunks when there are
+// more than maxOpenSets (keeps the GF(2) reduction small on long pages)
+function buildOpenSets(chunkEmbeddings, maxOpenSets) {
+  const runs = Math.min(chunkEmbeddings.length, maxOpenSets);
+  const openSets = [];
+
+  for (let r = 0; r < runs; r++) {
+    const from = Math.floor((r * chunkEmbeddings.length) / runs);
+    const to = Math.floor(((r + 1) * chunkEmbeddings.length) / runs) - 1;
+    const members = chunkEmbeddings.slice(from, to + 1);
+    const embedding = members[0].map((_, i) => members.reduce((sum, e) => sum + e[i], 0) / members.length);
+    const { dominant } = scoreEmbedding(embedding);
+
+    openSets.push({ index: r, chunks: [from, to], embedding, dominant, label: currentLabels[dominant - 1] });
+  }
+
+  return openSets;
+}
+
+function lowestBit(row) {
+  for (let w = 0; w < row.length; w++) {
+    if (row[w] !== 0) return w * 32 + (31 - Math.clz32(row[w] & -row[w]));
+  }
+  return -1;
+}
+
+// Where the local sections fail to glue: pairs of chunks that overlap by
+// content (cosine ≥ the cover's similarity threshold) yet are framed under
+// different dominant labels, ranked by similarity × Jensen–Shannon
+// divergence of their vectors. Pairs that span an edge of a representative
+// H¹ cocycle are flagged, since those carry the obstruction.
+function localizeGluingFailures(sections, chunkEmbeddings, cohomology, options = {}) {
+  const limit = options.limit || 5;
+  const threshold = cohomology.similarityThreshold;
+
+  const openSetOf = [];
+  for (const set of cohomology.openSets) {
+    for (let c = set.chunks[0]; c <= set.chunks[1]; c++) openSetOf[c] = set.index;
+  }
+  const cocycleEdges = new Set(cohomology.cocycles.flatMap(c => c.edges.map(e => e.join(','))));
+
+  const passage = (section) => ({
+    index: section.index,
+    start: section.start,
+    end: section.end,
+    excerpt: section.text.length > 200 ? `${section.text.slice(0, 200)}…` : section.text,
+    dominant: section.dominant,
+    label: section.label
+  });
+
+  const pairs = [];
+  for (let i = 0; i < sections.length; i++) {
+    for (let j = i + 1; j < sections.length; j++) {
+      if (sections[i].dominant === sections[j].dominant) continue;
+
+      const similarity = cosineSimilarity(chunkEmbeddings[i], chunkEmbeddings[j]);
+      if (similarity < threshold) continue;
+
+      const divergence = jensenShannon(sections[i].vector, sections[j].vector);
+      const sets = [openSetOf[i], openSetOf[j]].sort((a, b) => a - b);
+
+      pairs.push({
+        chunks: [i, j],
+        similarity,
+        divergence,
+        score: similarity * divergence,
+        labels: [sections[i].label, sections[j].label],
+        inCocycle: cocycleEdges.has(sets.join(',')),
+        passages: [passage(sections[i]), passage(sections[j])]
+      });
+    }
+  }
+
+  // Cocycle pairs first, then by score
+  return pairs
+    .sort((a, b) => (b.inCocycle - a.inCocycle) || (b.score - a.score))
+    .slice(0, limit);
+}
+
+// How the distribution sits on the Fano plane's 35 triples: the 7 lines
+// (quaternion subalgebras) versus the 28 anti-lines. For the document
+// vector p, each line gets its mass p_a + p_b + p_c and triple product
+// p_a·p_b·p_c; lineConcentration compares the mean triple product on lines
+// with that on anti-lines (ratio 1 for a uniform p).
+//
+// The Massey-style term uses consecutive chunk sections. Their centered
+// vectors u, v, w, lifted to imaginary octonions, have associator
+// [u, v, w] = 0 exactly when they lie in one quaternion subalgebra, i.e.
+// one Fano line. |[u, v, w]| ≤ 2|u||v||w|, so
+// score = 1 − mean |[u, v, w]| / (2|u||v||w|) is 1 for perfectly line-bound
+// progressions. sectionSupport counts sections whose top three dimensions
+// are collinear (chance: 7/35).
+function fanoLineScores(vector, sectionVectors) {
+  const lines = deriveFanoLines(octTable);
+  const lineKeys = new Set(lines.map(line => line.slice().sort((a, b) => a - b).join(',')));
+  const product = ([a, b, c]) => vector[a - 1] * vector[b - 1] * vector[c - 1];
+
+  const top3 = sectionVectors.map(v => v
+    .map((x, i) => [x, i + 1])
+    .sort((a, b) => b[0] - a[0])
+    .slice(0, 3)
+    .map(([, i]) => i)
+    .sort((a, b) => a - b)
+    .join(','));
+
+  let lineSum = 0, antiSum = 0;
+  for (let a = 1; a <= 7; a++) {
+    for (let b = a + 1; b <= 7; b++) {
+      for (let c = b + 1; c <= 7; c++) {
+        if (lineKeys.has(`${a},${b},${c}`)) lineSum += product([a, b, c]);
+        else antiSum += product([a, b, c]);
+      }
     }
   }
+  const lineMean = lineSum / 7;
+  const antiLineMean = antiSum / 28;
 
-  // Torsion class: even/odd winding number
-  return signChanges % 2;
+  return {
+    lines: lines.map(line => {
+      const key = line.slice().sort((a, b) => a - b).join(',');
+      return {
+        points: line,
+        labels: line.map(p => currentLabels[p - 1]),
+        mass: line.reduce((sum, p) => sum + vector[p - 1], 0),
+        product: product(line),
+        sectionSupport: top3.filter(t => t === key).length
+      };
+    }),
+    lineConcentration: {
+      lineMean,
+      antiLineMean,
+      ratio: antiLineMean > 0 ? lineMean / antiLineMean : null
+    },
+    tripleConsistency: tripleConsistency(sectionVectors, top3, lineKeys)
+  };
 }
 
-function zariskiCoverings(vector) {
-  // Compute Zariski-like open coverings
-  // Returns subsets where cumulative probability > threshold
+function tripleConsistency(sectionVectors, top3, lineKeys) {
+  const collinearTop = top3.filter(t => lineKeys.has(t)).length;
+  const lift = (v) => new Octonion([0, ...v.map(x => x - 1 / 7)], octTable);
+
+  let total = 0, triples = 0;
+  for (let i = 2; i < sectionVectors.length; i++) {
+    const [u, v, w] = [i - 2, i - 1, i].map(k => lift(sectionVectors[k]));
+    const scale = 2 * u.norm() * v.norm() * w.norm();
+    if (scale < 1e-12) continue;  // A flat section carries no direction
+    total += Octonion.associator(u, v, w).norm() / scale;
+    triples++;
+  }
 
-  const threshold = 0.8;
+  return {
+    score: triples > 0 ? 1 - total / triples : null,
+    meanAssociator: triples > 0 ? total / triples : null,
+    triples,
+    collinearTopTriples: sectionVectors.length > 0 ? collinearTop / sectionVectors.length : null,
+    chance: 7 / 35
+  };
+}
+
+// Zariski-like open coverings: subsets of dimensions whose total
+// probability reaches the threshold. A cover is minimal when no proper
+// subset also covers, i.e. dropping its smallest member falls short. The
+// smallest minimal cover (ties: larger mass) is the multi-label reading.
+function zariskiCoverings(vector, threshold = 0.8) {
   const covers = [];
 
   for (let mask = 1; mask < 128; mask++) {  // 2^7 - 1 non-empty subsets
     let sum = 0;
+    let min = Infinity;
     const indices = [];
 
     for (let i = 0; i < 7; i++) {
       if (mask & (1 << i)) {
         sum += vector[i];
+        min = Math.min(min, vector[i]);
         indices.push(i + 1);
       }
     }
@@ -320,127 +978,654 @@ function zariskiCoverings(vector) {
         mask,
         indices,
         sum,
+        minimal: sum - min < threshold,
         labels: indices.map(idx => currentLabels[idx - 1])
       });
     }
   }
 
-  return covers;
+  const minimalCovers = covers
+    .filter(cover => cover.minimal)
+    .map(({ minimal, ...cover }) => cover)
+    .sort((a, b) => a.indices.length - b.indices.length || b.sum - a.sum);
+
+  return {
+    threshold,
+    covers: covers.length,
+    minimalCovers,
+    activeLabels: minimalCovers[0] || null
+  };
 }
 
 // ============================================================================
 // OCTONION PROPAGATION
 // ============================================================================
 
-function propagateNarrative(startDim, chain, options = {}) {
+// A dimension 0..7 (basis unit, 0 = real) or 8 components (general element)
+function toOctonion(value) {
+  if (Array.isArray(value)) {
+    return new Octonion(value, octTable);
+  }
+  if (!Number.isInteger(value) || value < 0 || value > 7) {
+    throw new Error(`Invalid dimension in chain: ${value}`);
+  }
+  return Octonion.basis(value, 1, octTable);
+}
+
+function propagateNarrative(start, chain, options = {}) {
   const verbose = options.verbose || false;
   const steps = [];
 
-  // Start with identity in dimension startDim
-  let accumulator = [1, startDim];  // [sign, dimension]
+  // Start with the unit e_start (or a general element)
+  let accumulator = toOctonion(start);
+
+  const describe = (element) => {
+    const { index, sign } = element.dominant();
+    return {
+      sign,
+      dimension: index,
+      components: element.components,
+      norm: element.norm()
+    };
+  };
 
   if (verbose) {
     steps.push({
       step: 0,
-      element: `e${startDim}`,
-      sign: 1,
-      dimension: startDim
+      element: accumulator.toString(),
+      ...describe(accumulator)
     });
   }
 
-  // Apply each transformation in the chain
+  // Apply each transformation in the chain: accumulator ← accumulator · x
   for (let i = 0; i < chain.length; i++) {
-    const nextDim = chain[i];
+    const factor = toOctonion(chain[i]);
+    accumulator = accumulator.multiply(factor);
 
-    if (nextDim < 1 || nextDim > 7) {
-      throw new Error(`Invalid dimension in chain: ${nextDim}`);
+    if (verbose) {
+      steps.push({
+        step: i + 1,
+        input: factor.toString(),
+        result: accumulator.toString(),
+        ...describe(accumulator)
+      });
     }
+  }
+
+  const final = describe(accumulator);
+
+  return {
+    finalSign: final.sign,
+    finalDimension: final.dimension,
+    finalLabel: currentLabels[final.dimension - 1] || 'Real',
+    final: final.components,
+    finalNorm: final.norm,
+    steps: verbose ? steps : undefined
+  };
+}
 
-    const currentDim = accumulator[1];
-    const currentSign = accumulator[0];
+// ============================================================================
+// OBSERVED HOLONOMY
+// ============================================================================
 
-    // Look up multiplication result
-    const product = octTable[currentDim][nextDim];
+// The Fano line through two distinct points, read off the table: {a, b, a·b}
+function fanoLineThrough(a, b) {
+  return [a, b, octTable[a][b][1]].sort((x, y) => x - y);
+}
 
-    if (!product) {
-      throw new Error(`Invalid octonion multiplication: e${currentDim} * e${nextDim}`);
+function formatBasis([sign, index]) {
+  return `${sign > 0 ? '+' : '-'}${index === 0 ? '1' : `e${index}`}`;
+}
+
+// Multiply the document's actual sequence of per-chunk dominant dimensions
+// through octTable. Consecutive repeats are collapsed by default (staying in
+// one framing is not a transition). A transition is "on a Fano line" when it
+// continues along the line of the previous transition, i.e. three consecutive
+// path points are collinear; for a random walk that happens 1/3 of the time.
+function observedHolonomy(sequence, options = {}) {
+  for (const dim of sequence) {
+    if (!Number.isInteger(dim) || dim < 1 || dim > 7) {
+      throw new Error(`Invalid dimension in sequence: ${dim}`);
     }
+  }
 
-    // Update accumulator: (sign₁ * e_i) * e_j = (sign₁ * sign₂) * e_k
-    accumulator = [currentSign * product[0], product[1]];
+  const collapseRepeats = options.collapseRepeats !== false;
+  const path = collapseRepeats
+    ? sequence.filter((dim, i) => i === 0 || dim !== sequence[i - 1])
+    : [...sequence];
 
-    if (verbose) {
-      steps.push({
-        step: i + 1,
-        input: `e${nextDim}`,
-        result: `${accumulator[0] > 0 ? '+' : '-'}e${accumulator[1]}`,
-        sign: accumulator[0],
-        dimension: accumulator[1]
-      });
+  if (path.length === 0) {
+    throw new Error("Holonomy requires a non-empty sequence");
+  }
+
+  let element = Octonion.basis(path[0], 1, octTable);
+  let accumulator = [1, path[0]];
+  const transitions = [];
+
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    element = element.multiply(Octonion.basis(to, 1, octTable));
+    accumulator = element.basisForm();
+
+    const transition = {
+      step: i,
+      from,
+      to,
+      fromLabel: currentLabels[from - 1],
+      toLabel: currentLabels[to - 1],
+      accumulated: formatBasis(accumulator),
+      line: null,
+      orientation: null,  // +1 when e_from·e_to = +e_k (follows the line's arrow)
+      onFanoLine: null    // null when there is no previous transition to continue
+    };
+
+    if (from !== to) {
+      transition.line = fanoLineThrough(from, to);
+      transition.orientation = octTable[from][to][0];
+
+      const before = path[i - 2];
+      if (before !== undefined && before !== from) {
+        transition.onFanoLine = transition.line.includes(before);
+      }
     }
+
+    transitions.push(transition);
   }
 
+  const judged = transitions.filter(t => t.onFanoLine !== null);
+  const onLine = judged.filter(t => t.onFanoLine).length;
+
   return {
-    finalSign: accumulator[0],
-    finalDimension: accumulator[1],
-    finalLabel: currentLabels[accumulator[1] - 1] || 'Real',
-    steps: verbose ? steps : undefined
+    sequence,
+    path,
+    monodromy: {
+      sign: accumulator[0],
+      element: accumulator[1],
+      label: currentLabels[accumulator[1] - 1] || 'Real',
+      expression: formatBasis(accumulator)
+    },
+    closedLoop: path.length > 1 && path[0] === path[path.length - 1],
+    trivial: accumulator[0] === 1 && accumulator[1] === 0,
+    transitions,
+    onLineTransitions: transitions.filter(t => t.onFanoLine === true).map(t => t.step),
+    offLineTransitions: transitions.filter(t => t.onFanoLine === false).map(t => t.step),
+    onLineFraction: judged.length > 0 ? onLine / judged.length : null,
+    chanceFraction: 1 / 3
   };
 }
 
-function analyzeNarrativeTrajectory(vector, maxSteps = 5) {
-  // Analyze how narrative might evolve via dominant transitions
-  const sorted = vector
-    .map((v, i) => ({ value: v, dim: i + 1, label: currentLabels[i] }))
-    .sort((a, b) => b.value - a.value);
+// Chain strategies are declarative so they can be sent through postMessage:
+// { name, start, chain } where each term is a dimension 0..7, an
+// 8-component octonion, or "rank:k" for the k-th largest entry of the vector
+const DEFAULT_STRATEGIES = [
+  { name: "Linear Progression", start: "rank:1", chain: ["rank:2", "rank:3", "rank:4"] },
+  { name: "Cyclic Return", start: "rank:1", chain: ["rank:2", "rank:3", "rank:1"] },
+  { name: "Resonant Amplification", start: "rank:1", chain: ["rank:2", "rank:2", "rank:2"] }
+];
+
+function resolveStrategyTerm(term, ranking) {
+  const match = typeof term === 'string' && term.match(/^rank:([1-7])$/);
+  if (match) return ranking[Number(match[1]) - 1];
+  if (typeof term === 'string') throw new Error(`Invalid strategy term: ${term}`);
+  return term;
+}
 
-  const startDim = sorted[0].dim;
-  const topDims = sorted.slice(1, 4).map(x => x.dim);
+// options: { strategies, markov } — strategies default to the three built-in
+// chains; markov (true or { steps, epsilon }) adds the distribution model
+function analyzeNarrativeTrajectory(vector, options = {}) {
+  const ranking = vector
+    .map((v, i) => ({ value: v, dim: i + 1 }))
+    .sort((a, b) => b.value - a.value)
+    .map(x => x.dim);
+
+  const trajectories = (options.strategies || DEFAULT_STRATEGIES).map(strategy => {
+    const start = resolveStrategyTerm(strategy.start ?? "rank:1", ranking);
+    const chain = (strategy.chain || []).map(term => resolveStrategyTerm(term, ranking));
+    return {
+      name: strategy.name || "Custom",
+      start,
+      chain,
+      result: propagateNarrative(start, chain, { verbose: true })
+    };
+  });
 
-  // Compute propagation for different chains
-  const trajectories = [];
+  const result = {
+    startDimension: ranking[0],
+    startLabel: currentLabels[ranking[0] - 1],
+    trajectories
+  };
 
-  // Linear chain (top 3 in order)
-  trajectories.push({
-    name: "Linear Progression",
-    chain: topDims.slice(0, maxSteps),
-    result: propagateNarrative(startDim, topDims.slice(0, maxSteps), { verbose: true })
+  if (options.markov) {
+    result.markov = markovPropagation(vector, options.markov === true ? {} : options.markov);
+  }
+
+  return result;
+}
+
+// ============================================================================
+// MARKOV PROPAGATION
+// ============================================================================
+
+// The 16 signed units ±e0..±e7 as Markov states; index = 2·dim + (sign < 0)
+const SIGNED_UNITS = Array.from({ length: 16 }, (_, s) => ({ dim: s >> 1, sign: s & 1 ? -1 : 1 }));
+
+// One step right-multiplies the current unit by e_j, with j drawn from the
+// driving distribution q over e1..e7. The sign is kept as a separate
+// channel rather than a phase: with phases the product is norm-preserving
+// (|xy| = |x||y|) and would rotate forever instead of mixing.
+function markovTransition(q) {
+  const T = SIGNED_UNITS.map(() => new Array(16).fill(0));
+  SIGNED_UNITS.forEach(({ dim, sign }, from) => {
+    for (let j = 1; j <= 7; j++) {
+      const [s, k] = basisProduct(dim, j, octTable);
+      T[from][2 * k + (sign * s < 0 ? 1 : 0)] += q[j - 1];
+    }
   });
+  return T;
+}
+
+function markovStep(p, T) {
+  const next = new Array(16).fill(0);
+  for (let from = 0; from < 16; from++) {
+    if (p[from] === 0) continue;
+    for (let to = 0; to < 16; to++) next[to] += p[from] * T[from][to];
+  }
+  return next;
+}
 
-  // Cyclic chain (return to start)
-  const cyclicChain = [...topDims.slice(0, 2), startDim];
-  trajectories.push({
-    name: "Cyclic Return",
-    chain: cyclicChain,
-    result: propagateNarrative(startDim, cyclicChain, { verbose: true })
+// Marginals of a 16-state distribution: the 7D distribution over
+// dimensions, the mass on the real unit and P(+) − P(−)
+function summarizeUnits(p) {
+  const distribution = new Array(7).fill(0);
+  let sign = 0;
+  p.forEach((mass, s) => {
+    const { dim, sign: unitSign } = SIGNED_UNITS[s];
+    if (dim > 0) distribution[dim - 1] += mass;
+    sign += unitSign * mass;
   });
+  const entropy = distribution.concat([p[0] + p[1]])
+    .reduce((h, x) => (x > 0 ? h - x * Math.log2(x) : h), 0);
 
-  // Resonant chain (repeat dominant)
-  const resonantChain = new Array(3).fill(topDims[0]);
-  trajectories.push({
-    name: "Resonant Amplification",
-    chain: resonantChain,
-    result: propagateNarrative(startDim, resonantChain, { verbose: true })
+  return { distribution, real: p[0] + p[1], sign, entropy };
+}
+
+const totalVariation = (p, q) => p.reduce((sum, x, i) => sum + Math.abs(x - q[i]), 0) / 2;
+
+// Starts at +e_i with probability vector[i − 1] and is driven by the same
+// vector (or options.driving). The stationary distribution is the limit of
+// the lazy chain (I + T)/2 from the start, which also handles periodic
+// chains and supports confined to a quaternion subalgebra. Mixing time is
+// the first step within `epsilon` total variation of it.
+function markovPropagation(vector, options = {}) {
+  const steps = options.steps ?? 10;
+  const epsilon = options.epsilon ?? 0.25;
+  const maxMixingSteps = options.maxMixingSteps ?? 200;
+  const driving = options.driving || vector;
+
+  const total = driving.reduce((a, b) => a + b, 0);
+  if (driving.length !== 7 || !(total > 0)) {
+    throw new Error("Markov propagation needs a 7-entry driving distribution");
+  }
+  const q = driving.map(x => x / total);
+  const T = markovTransition(q);
+
+  const mass = vector.reduce((a, b) => a + b, 0);
+  const p0 = new Array(16).fill(0);
+  vector.forEach((x, i) => { p0[2 * (i + 1)] = x / mass; });
+
+  // Stationary distribution of the start's communicating class
+  const lazy = T.map((row, i) => row.map((x, j) => (x + (i === j ? 1 : 0)) / 2));
+  let stationary = p0;
+  for (let n = 0; n < 10000; n++) {
+    const next = markovStep(stationary, lazy);
+    const change = totalVariation(next, stationary);
+    stationary = next;
+    if (change < 1e-13) break;
+  }
+
+  const trajectory = [{ step: 0, ...summarizeUnits(p0), distance: totalVariation(p0, stationary) }];
+  let p = p0;
+  let mixingTime = trajectory[0].distance <= epsilon ? 0 : null;
+
+  for (let n = 1; n <= Math.max(steps, maxMixingSteps); n++) {
+    p = markovStep(p, T);
+    const distance = totalVariation(p, stationary);
+    if (n <= steps) trajectory.push({ step: n, ...summarizeUnits(p), distance });
+    if (mixingTime === null && distance <= epsilon) mixingTime = n;
+    if (n >= steps && mixingTime !== null) break;
+  }
+
+  return {
+    driving: q,
+    transition: T,
+    states: SIGNED_UNITS.map(({ dim, sign }) => `${sign > 0 ? '+' : '-'}${dim === 0 ? '1' : `e${dim}`}`),
+    steps: trajectory,
+    stationary: { ...summarizeUnits(stationary), states: stationary },
+    mixingTime,
+    epsilon
+  };
+}
+
+// ============================================================================
+// STRUCTURE LEARNING
+// ============================================================================
+
+// Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations.
+// Returns { values, vectors } sorted by descending eigenvalue, with
+// vectors[k] the unit eigenvector for values[k].
+function symmetricEigen(matrix, maxSweeps = 50) {
+  const n = matrix.length;
+  const a = matrix.map(row => row.slice());
+  const v = a.map((_, i) => a.map((_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const sn = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p], akq = a[k][q];
+          a[k][p] = c * akp - sn * akq;
+          a[k][q] = sn * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k], aqk = a[q][k];
+          a[p][k] = c * apk - sn * aqk;
+          a[q][k] = sn * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p], vkq = v[k][q];
+          v[k][p] = c * vkp - sn * vkq;
+          v[k][q] = sn * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return a
+    .map((row, k) => ({ value: row[k], vector: v.map(r => r[k]) }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((acc, { value, vector }) => {
+      // Fix the sign so the largest loading is positive
+      const pivot = vector.reduce((m, x) => (Math.abs(x) > Math.abs(m) ? x : m), 0);
+      acc.values.push(value);
+      acc.vectors.push(pivot < 0 ? vector.map(x => -x) : vector);
+      return acc;
+    }, { values: [], vectors: [] });
+}
+
+// Mean sign of observed directed triples under a table: +1 for x→y→z with
+// e_x·e_y = +e_z, −1 for the reverse orientation. Triples are in points.
+function orientationAgreement(table, triples) {
+  if (triples.length === 0) return 0;
+  const total = triples.reduce((sum, [x, y, z]) =>
+    sum + (table[x][y][1] === z ? table[x][y][0] : 0), 0);
+  return total / triples.length;
+}
+
+// Consecutive distinct collinear triples along each document's path,
+// mapped through point(dim) and restricted to lines of `lines`
+function collinearTriples(paths, lines, point) {
+  const onLine = new Set(lines.map(line => line.slice().sort((a, b) => a - b).join(',')));
+  const triples = [];
+
+  for (const path of paths) {
+    for (let i = 2; i < path.length; i++) {
+      const triple = [path[i - 2], path[i - 1], path[i]].map(point);
+      if (new Set(triple).size === 3 && onLine.has(triple.slice().sort((a, b) => a - b).join(','))) {
+        triples.push(triple);
+      }
+    }
+  }
+
+  return triples;
+}
+
+// Classify each document, accumulate the 7×7 co-occurrence E[v vᵀ] of the
+// classification vectors and decompose it. The proposed structure keeps
+// octTable's Fano lines (all Fano planes are isomorphic) and learns:
+//   - labeling: the placement whose lines group co-activating labels, using
+//     the correlation derived from the same moments
+//   - sign convention: among the 16 valid orientations of those lines, the
+//     one that best matches the order in which chunk paths traverse them
+async function learnOctonionStructure(documents, options = {}, onProgress = () => {}) {
+  const cooccurrence = Array.from({ length: 7 }, () => new Array(7).fill(0));
+  const mean = new Array(7).fill(0);
+  const paths = [];
+  const skipped = [];  // Documents with no classifiable text
+  let chunks = 0;
+
+  for (let d = 0; d < documents.length; d++) {
+    const doc = documents[d];
+    const text = typeof doc === 'string' ? doc : doc.text;
+
+    let result;
+    try {
+      result = await classifyText(text || "", { maxChunkSize: options.maxChunkSize, holonomy: true });
+    } catch (e) {
+      if (e instanceof CancelledError) throw e;
+      skipped.push({ id: typeof doc === 'string' ? d : (doc.id ?? d), error: e.message });
+      onProgress({ documentsDone: d + 1, totalDocuments: documents.length });
+      continue;
+    }
+
+    for (let i = 0; i < 7; i++) {
+      mean[i] += result.vector[i];
+      for (let j = 0; j < 7; j++) {
+        cooccurrence[i][j] += result.vector[i] * result.vector[j];
+      }
+    }
+    paths.push(result.holonomy.path);
+    chunks += result.chunksProcessed;
+
+    onProgress({ documentsDone: d + 1, totalDocuments: documents.length });
+  }
+
+  const n = documents.length - skipped.length;
+  if (n < 2) {
+    throw new Error(`learn-structure needs at least 2 classifiable documents (${skipped.length} of ${documents.length} skipped)`);
+  }
+  for (let i = 0; i < 7; i++) {
+    mean[i] /= n;
+    for (let j = 0; j < 7; j++) cooccurrence[i][j] /= n;
+  }
+
+  // Correlation from the centered second moment
+  const covariance = cooccurrence.map((row, i) => row.map((x, j) => x - mean[i] * mean[j]));
+  const correlation = covariance.map((row, i) => row.map((x, j) => {
+    const scale = Math.sqrt(covariance[i][i] * covariance[j][j]);
+    return scale > 0 ? x / scale : (i === j ? 1 : 0);
+  }));
+
+  // Spectrum of the covariance: how the labels co-vary across the corpus
+  const { values, vectors } = symmetricEigen(covariance);
+  const trace = values.reduce((a, b) => a + Math.max(0, b), 0);
+  const spectrum = values.map((value, k) => ({
+    eigenvalue: value,
+    explained: trace > 0 ? Math.max(0, value) / trace : 0,
+    loadings: vectors[k].map((weight, i) => ({ label: currentLabels[i], weight }))
+  }));
+
+  // Labeling, scored by the labels' similarity in the leading components:
+  // label i sits at (√λₖ vₖ[i]) for the top components carrying
+  // spectralMass of the variance. With all of them this is the correlation.
+  const spectralMass = options.spectralMass ?? 0.9;
+  let components = 0;
+  for (let explained = 0; components < 7 && spectrum[components].eigenvalue > 1e-12; components++) {
+    if (explained >= spectralMass) break;
+    explained += spectrum[components].explained;
+  }
+  const coordinates = Array.from({ length: 7 }, (_, i) =>
+    vectors.slice(0, components).map((vector, k) => Math.sqrt(values[k]) * vector[i]));
+  const similarity = coordinates.map((a, i) => coordinates.map((b, j) =>
+    i === j ? 1 : cosineSimilarity(a, b)));
+
+  const placement = searchLabelAssignment(similarity);
+  const learned = placement.best;
+  const pointOf = (assignment) => (dim) => assignment.indexOf(dim - 1) + 1;
+
+  // Sign convention on the learned labeling
+  const lines = deriveFanoLines(octTable);
+  const lineKey = (ls) => ls.map(l => l.slice().sort((a, b) => a - b).join(',')).sort().join(' ');
+  const key = lineKey(lines);
+  const learnedTriples = collinearTriples(paths, lines, pointOf(learned.assignment));
+
+  // Start from the active orientation so it wins ties (e.g. no evidence).
+  // Every table "set-oct-table" accepts is one of the generated conventions,
+  // whatever it holds in row and column 0, so it is matched on e1..e7 only.
+  const conventions = signConventionTables();
+  const activeIndex = signConventionIndex(octTable);
+  let bestConvention = {
+    index: activeIndex >= 0 ? activeIndex : null,
+    table: octTable,
+    agreement: orientationAgreement(octTable, learnedTriples)
+  };
+  conventions.forEach((table, index) => {
+    if (lineKey(deriveFanoLines(table)) !== key) return;
+    const agreement = orientationAgreement(table, learnedTriples);
+    if (agreement > bestConvention.agreement) {
+      bestConvention = { index, table, agreement };
+    }
   });
 
+  // Comparison with the active table under the current labeling
+  const currentTriples = collinearTriples(paths, lines, pointOf(placement.current.assignment));
+  const labelTriples = (assignment) => new Set(lines.map(line =>
+    line.map(p => currentLabels[assignment[p - 1]]).sort().join(' · ')));
+  const currentLines = labelTriples(placement.current.assignment);
+  const learnedLines = labelTriples(learned.assignment);
+
   return {
-    startDimension: startDim,
-    startLabel: currentLabels[startDim - 1],
-    trajectories
+    documents: n,
+    skipped,
+    chunks,
+    mean,
+    cooccurrence,
+    correlation,
+    spectrum,
+    components,
+    similarity,
+    principalOctonion: [0, ...vectors[0]],  // Unit imaginary along the top eigenvector
+    labeling: learned,
+    signConvention: {
+      index: bestConvention.index,
+      lines: deriveFanoLines(bestConvention.table),
+      table: bestConvention.table,
+      evidence: learnedTriples.length,
+      agreement: bestConvention.agreement
+    },
+    comparison: {
+      octTable: octTableName,
+      baseline: placement.baseline,
+      current: {
+        fit: placement.current.fit,
+        zScore: placement.current.zScore,
+        orientationAgreement: orientationAgreement(octTable, currentTriples),
+        evidence: currentTriples.length
+      },
+      learned: {
+        fit: learned.fit,
+        zScore: learned.zScore,
+        orientationAgreement: bestConvention.agreement,
+        evidence: learnedTriples.length
+      },
+      sharedLines: [...learnedLines].filter(line => currentLines.has(line)),
+      improvement: placement.improvement
+    }
   };
 }
 
 // ============================================================================
-// MESSAGE HANDLER
+// REQUEST QUEUE
 // ============================================================================
 
-self.onmessage = async function(e) {
-  const { type, data } = e.data;
+// Requests run one at a time so label swaps and re-initializations never
+// interleave with an in-flight classification. Higher priority runs first,
+// FIFO within a priority.
+const requestQueue = [];
+let requestSeq = 0;
+let draining = false;
+let activeRequestCancelled = false;
+
+class CancelledError extends Error {
+  constructor(message = "Job cancelled") {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+// Let queued "cancel" messages be delivered before the next unit of work
+function yieldToMessages() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
 
+function throwIfCancelled() {
+  if (activeRequestCancelled) throw new CancelledError();
+}
+
+// Drop a queued request, or flag the running one so it stops at its next
+// checkpoint. Either way the request settles with a "cancelled" reply.
+function cancelRequest(id) {
+  const index = requestQueue.findIndex(request => request.id === id);
+  if (index >= 0) {
+    requestQueue.splice(index, 1);
+    postMessage({ type: "cancelled", id, message: "Job cancelled before it started" });
+  } else if (id !== undefined && id === activeRequestId) {
+    activeRequestCancelled = true;
+  }
+}
+
+// Every message posted while handling a request carries that request's id
+function reply(message) {
+  postMessage(activeRequestId === undefined ? message : { ...message, id: activeRequestId });
+}
+
+function enqueueRequest(request) {
+  requestQueue.push({ ...request, priority: request.priority || 0, seq: requestSeq++ });
+  requestQueue.sort((a, b) => (b.priority - a.priority) || (a.seq - b.seq));
+  drainQueue();
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+
+  while (requestQueue.length > 0) {
+    const request = requestQueue.shift();
+    activeRequestId = request.id;
+    activeRequestCancelled = false;
+    try {
+      await handleRequest(request);
+    } finally {
+      activeRequestId = undefined;
+      activeRequestCancelled = false;
+    }
+  }
+
+  draining = false;
+}
+
+// ============================================================================
+// MESSAGE HANDLER
+// ============================================================================
+
+async function handleRequest({ type, data }) {
   try {
     switch(type) {
       case "init":
-        await initEngine();
+        await initEngine(data || {});
         break;
 
       case "set-labels":
@@ -450,7 +1635,7 @@ self.onmessage = async function(e) {
             prototypes = data.prototypes;
             await updatePrototypeEmbeddings();
           }
-          postMessage({
+          reply({
             type: "labels-updated",
             labels: currentLabels,
             prototypes: prototypes.slice(1)
@@ -460,43 +1645,182 @@ self.onmessage = async function(e) {
         }
         break;
 
+      case "set-softmax-scale":
+        if (!(typeof data.scale === "number" && Number.isFinite(data.scale) && data.scale > 0)) {
+          throw new Error("Softmax scale must be a positive number");
+        }
+        softmaxScale = data.scale;
+        reply({ type: "softmax-scale-updated", scale: softmaxScale });
+        break;
+
+      case "optimize-labels": {
+        const report = optimizeLabelAssignment();
+        const applied = Boolean(data && data.apply) && report.improvement > 0;
+        if (applied) applyLabelAssignment(report.best.assignment);
+
+        reply({
+          type: "label-assignment",
+          ...report,
+          applied,
+          labels: currentLabels,
+          prototypes: prototypes.slice(1)
+        });
+        break;
+      }
+
+      case "learn-structure": {
+        if (!Array.isArray(data.documents) || data.documents.length < 2) {
+          throw new Error("learn-structure requires at least 2 documents");
+        }
+
+        const report = await learnOctonionStructure(data.documents, data.options, (progress) => {
+          reply({ type: "learn-progress", ...progress });
+        });
+
+        // Adopt the proposal: relabel, then switch to the learned orientation
+        const applied = Boolean(data.options && data.options.apply);
+        if (applied) {
+          applyLabelAssignment(report.labeling.assignment);
+          if (report.signConvention.index !== null) {
+            setOctTable({ generator: "sign-convention", index: report.signConvention.index });
+          }
+        }
+
+        reply({
+          type: "learned-structure",
+          ...report,
+          applied,
+          labels: currentLabels,
+          octTable: describeOctTable()
+        });
+        break;
+      }
+
       case "classify":
         if (!data.text) {
           throw new Error("No text provided for classification");
         }
 
-        const result = await classifyText(data.text, data.options);
+        const result = await classifyText(data.text, data.options, (progress) => {
+          reply({ type: "classify-progress", ...progress });
+        });
 
         // Compute narrative trajectories
-        const trajectory = analyzeNarrativeTrajectory(result.vector);
+        const trajectory = analyzeNarrativeTrajectory(result.vector, data.options && data.options.trajectory);
 
-        postMessage({
+        reply({
           type: "classification",
           ...result,
-          trajectory
+          trajectory,
+          octTable: describeOctTable()
         });
         break;
 
-      case "propagate":
-        if (!data.startDim || !data.chain) {
-          throw new Error("Propagation requires startDim and chain");
+      case "classify-batch": {
+        if (!Array.isArray(data.documents) || data.documents.length === 0) {
+          throw new Error("classify-batch requires a non-empty documents array");
         }
 
-        const propResult = propagateNarrative(
-          data.startDim,
-          data.chain,
-          { verbose: true }
-        );
+        const results = [];
+        const batchStart = performance.now();
+
+        await classifyBatch(data.documents, data.options, (item) => {
+          results.push(item);
+          reply({
+            type: "batch-progress",
+            ...item,
+            documentsDone: results.length,
+            totalDocuments: data.documents.length,
+            elapsedMs: Math.round(performance.now() - batchStart)
+          });
+        });
+
+        reply({
+          type: "batch-summary",
+          ...summarizeBatch(results),
+          octTable: describeOctTable(),
+          elapsedMs: Math.round(performance.now() - batchStart)
+        });
+        break;
+      }
+
+      case "propagate": {
+        // Either an explicit chain, or strategies / the Markov model
+        // applied to a 7D distribution
+        let propResult;
+        if (data.vector) {
+          if (!data.strategies && !data.markov) {
+            throw new Error("Propagating a vector requires strategies and/or markov");
+          }
+          propResult = analyzeNarrativeTrajectory(data.vector, {
+            strategies: data.strategies || [],
+            markov: data.markov
+          });
+        } else if (data.startDim !== undefined && data.chain) {
+          propResult = propagateNarrative(data.startDim, data.chain, { verbose: true });
+        } else {
+          throw new Error("Propagation requires startDim and chain, or a vector");
+        }
 
-        postMessage({
+        reply({
           type: "propagation",
           ...propResult
         });
         break;
+      }
+
+      case "multiply": {
+        // Left-to-right product of lifted classification vectors (7 entries)
+        // or raw octonions (8 components)
+        if (!Array.isArray(data.operands) || data.operands.length === 0) {
+          throw new Error("Multiplication requires a non-empty operands array");
+        }
+
+        const operands = data.operands.map(x => x.length === 7
+          ? Octonion.fromVector(x, octTable)
+          : new Octonion(x, octTable));
+        const product = operands.slice(1).reduce((acc, x) => acc.multiply(x), operands[0]);
+        const { index, sign } = product.dominant();
+
+        reply({
+          type: "product",
+          product: product.components,
+          expression: product.toString(),
+          norm: product.norm(),
+          dominant: index,
+          sign,
+          label: currentLabels[index - 1] || 'Real',
+          associator: operands.length === 3
+            ? Octonion.associator(...operands).components
+            : undefined
+        });
+        break;
+      }
+
+      case "holonomy":
+        if (!Array.isArray(data.sequence)) {
+          throw new Error("Holonomy requires a sequence of dimensions");
+        }
+
+        reply({
+          type: "holonomy",
+          ...observedHolonomy(data.sequence, data.options)
+        });
+        break;
+
+      case "set-oct-table": {
+        const verification = setOctTable(data);
+        reply({
+          type: "oct-table-updated",
+          octTable: describeOctTable(),
+          verification
+        });
+        break;
+      }
 
       case "verify-fano":
-        const fanoCheck = verifyFanoStructure();
-        postMessage({
+        const fanoCheck = verifyFanoStructure(data || {});
+        reply({
           type: "fano-verification",
           ...fanoCheck
         });
@@ -507,14 +1831,35 @@ self.onmessage = async function(e) {
     }
 
   } catch (error) {
-    postMessage({
+    if (error instanceof CancelledError) {
+      reply({ type: "cancelled", message: error.message });
+      return;
+    }
+
+    reply({
       type: "error",
       message: error.message,
       stack: error.stack,
       context: { type, data }
     });
   }
+}
+
+// Envelope: { type, data, id?, priority? }. Responses echo the id.
+// "cancel" ({ data: { id } }) bypasses the queue so it can reach a running job.
+self.onmessage = function(e) {
+  const { type, data, id, priority } = e.data;
+
+  if (type === "cancel") {
+    cancelRequest(data && data.id);
+    return;
+  }
+
+  enqueueRequest({ type, data, id, priority });
 };
 
-// Auto-initialize on load
-initEngine();
+// Auto-initialize on load with the default model. Load the worker as
+// "transformer-worker.js?autoInit=false" to pick the embedder via "init".
+if (new URL(self.location.href).searchParams.get('autoInit') !== 'false') {
+  enqueueRequest({ type: "init", data: {} });
+}
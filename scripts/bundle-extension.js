@@ -0,0 +1,120 @@
+// bundle-extension.js
+// Assemble a self-contained Narrative Lens extension
+// Author: Brian (Axiomatic Research Laboratory)
+// License: MIT
+//
+// Usage:
+//   npm install
+//   npm run bundle:extension                          # model from the Hugging Face Hub
+//   npm run bundle:extension -- --model-dir ./all-MiniLM-L6-v2   # model from a local clone
+//
+// MV3 extensions may not load remotely hosted code, and the extension promises
+// that nothing leaves the device, so everything the classifier needs is copied
+// into extensions/narrative-lens/: the classifier sources, the transformers.js
+// build with its ONNX runtime .wasm files (vendor/) and the quantized model
+// (models/). The model is fetched once, here, by the developer; the packaged
+// extension never touches the network.
+
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import { DEFAULT_MODEL, MODEL_PRESETS } from '../src/embedders.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const EXTENSION = join(ROOT, 'extensions/narrative-lens');
+
+// Must match TRANSFORMERS_URL in src/embedders.js
+const TRANSFORMERS_VERSION = '2.17.2';
+
+// Extension file ← repository source
+const SOURCES = {
+  'worker.js': 'src/transformer-worker.js',
+  'embedders.js': 'src/embedders.js',
+  'octonion.js': 'src/octonion.js',
+  'classifier-client.js': 'src/classifier-client.js',
+  'presets.js': 'src/presets.js'
+};
+
+// Extension pages aren't cross-origin isolated, so the threaded builds are never used
+const RUNTIME_FILES = ['transformers.min.js', 'ort-wasm.wasm', 'ort-wasm-simd.wasm'];
+
+const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+
+function parseArgs(argv) {
+  const args = { model: DEFAULT_MODEL, modelDir: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--model') args.model = argv[++i];
+    else if (argv[i] === '--model-dir') args.modelDir = resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function writeBundled(target, bytes) {
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, bytes);
+  const sha256 = createHash('sha256').update(bytes).digest('hex');
+  console.log(`  ${relative(EXTENSION, target)}  ${(bytes.length / 1024).toFixed(0)} KB  sha256:${sha256}`);
+}
+
+async function bundleSources() {
+  console.log('Classifier sources');
+  for (const [file, source] of Object.entries(SOURCES)) {
+    await copyFile(join(ROOT, source), join(EXTENSION, file));
+    console.log(`  ${file} ← ${source}`);
+  }
+}
+
+async function bundleRuntime() {
+  const require = createRequire(import.meta.url);
+  let packageJson;
+  try {
+    packageJson = require.resolve('@xenova/transformers/package.json');
+  } catch (e) {
+    throw new Error('@xenova/transformers is not installed; run "npm install" first');
+  }
+
+  const { version } = JSON.parse(await readFile(packageJson, 'utf8'));
+  if (version !== TRANSFORMERS_VERSION) {
+    throw new Error(`Expected @xenova/transformers ${TRANSFORMERS_VERSION}, found ${version}`);
+  }
+
+  console.log(`transformers.js ${version}`);
+  const dist = join(dirname(packageJson), 'dist');
+  for (const file of RUNTIME_FILES) {
+    await writeBundled(join(EXTENSION, 'vendor', file), await readFile(join(dist, file)));
+  }
+}
+
+async function bundleModel({ model, modelDir }) {
+  const repo = (MODEL_PRESETS[model] || {}).model || model;
+  console.log(`Model ${repo}${modelDir ? ` from ${modelDir}` : ''}`);
+
+  for (const file of MODEL_FILES) {
+    let bytes;
+    if (modelDir) {
+      bytes = await readFile(join(modelDir, file));
+    } else {
+      const url = `https://huggingface.co/${repo}/resolve/main/${file}`;
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Download failed (${response.status}): ${url}`);
+      bytes = Buffer.from(await response.arrayBuffer());
+    }
+    await writeBundled(join(EXTENSION, 'models', repo, file), bytes);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  await bundleSources();
+  await bundleRuntime();
+  await bundleModel(args);
+  console.log(`\nDone. Load ${relative(process.cwd(), EXTENSION) || '.'} as an unpacked extension.`);
+}
+
+main().catch((error) => {
+  console.error(`Bundling failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,215 @@
+// classifier-client.js
+// Promise-based client for the octonion classifier worker protocol
+// Author: Brian (Axiomatic Research Laboratory)
+// License: MIT
+//
+// Usage:
+//   const worker = new Worker('src/transformer-worker.js', { type: 'module' });
+//   const client = new OctonionClassifierClient(worker);
+//   client.on('status', ({ message }) => console.log(message));
+//   const result = await client.classify('Some text...');
+
+// Final response type for each request type
+const RESPONSE_TYPES = {
+  "init": "ready",
+  "set-labels": "labels-updated",
+  "set-softmax-scale": "softmax-scale-updated",
+  "classify": "classification",
+  "classify-batch": "batch-summary",
+  "propagate": "propagation",
+  "holonomy": "holonomy",
+  "multiply": "product",
+  "set-oct-table": "oct-table-updated",
+  "optimize-labels": "label-assignment",
+  "learn-structure": "learned-structure",
+  "verify-fano": "fano-verification"
+};
+
+export class OctonionClassifierClient {
+  constructor(worker, options = {}) {
+    this.worker = worker;
+    this.timeout = options.timeout || 0;  // ms, 0 = no timeout
+    this.pending = new Map();             // id → { expect, resolve, reject, timer }
+    this.listeners = new Map();           // type → Set<handler>
+    this.nextId = 1;
+
+    this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+  }
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+
+  // Every method takes optional { priority, timeout, signal, onProgress } as
+  // its last argument. Aborting the signal cancels the job in the worker.
+  init(options = {}, requestOptions = {}) {
+    return this.request("init", options, requestOptions);
+  }
+
+  classify(text, options = {}, requestOptions = {}) {
+    return this.request("classify", { text, options }, requestOptions);
+  }
+
+  // documents: [{ id, text }]. Per-document results stream to
+  // requestOptions.onProgress as "batch-progress" messages.
+  classifyBatch(documents, options = {}, requestOptions = {}) {
+    return this.request("classify-batch", { documents, options }, requestOptions);
+  }
+
+  setLabels(labels, prototypes, requestOptions = {}) {
+    return this.request("set-labels", { labels, prototypes }, requestOptions);
+  }
+
+  // How sharply prototype similarities are turned into the 7D distribution
+  // (default 5); higher values concentrate mass on the closest prototype
+  setSoftmaxScale(scale, requestOptions = {}) {
+    return this.request("set-softmax-scale", { scale }, requestOptions);
+  }
+
+  // Best placement of the current labels on the Fano points, with its fit
+  // against a random labeling. { apply: true } also reorders the labels.
+  optimizeLabels(options = {}, requestOptions = {}) {
+    return this.request("optimize-labels", options, requestOptions);
+  }
+
+  // Labeling and sign convention learned from a corpus (strings or
+  // { id, text }). { apply: true } adopts both. Progress arrives as
+  // "learn-progress" messages.
+  learnStructure(documents, options = {}, requestOptions = {}) {
+    return this.request("learn-structure", { documents, options }, requestOptions);
+  }
+
+  propagate(startDim, chain, requestOptions = {}) {
+    return this.request("propagate", { startDim, chain }, requestOptions);
+  }
+
+  // Propagate a 7D distribution: { strategies: [{ name, start, chain }],
+  // markov: true | { steps, epsilon, driving } }
+  propagateDistribution(vector, options = {}, requestOptions = {}) {
+    return this.request("propagate", { vector, ...options }, requestOptions);
+  }
+
+  // Product of lifted 7D classification vectors and/or 8-component octonions
+  multiply(operands, requestOptions = {}) {
+    return this.request("multiply", { operands }, requestOptions);
+  }
+
+  // Monodromy of an observed sequence of dominant dimensions
+  holonomy(sequence, options = {}, requestOptions = {}) {
+    return this.request("holonomy", { sequence, options }, requestOptions);
+  }
+
+  // spec: { table } or { generator: "default" | "cayley-dickson" |
+  // "sign-convention", index }. Rejected if the table fails verification.
+  setOctTable(spec, requestOptions = {}) {
+    return this.request("set-oct-table", spec, requestOptions);
+  }
+
+  // Per-check report on the active multiplication table. options:
+  // { samples, seed, tolerance } for the randomized identity checks.
+  verifyFano(options = {}, requestOptions = {}) {
+    return this.request("verify-fano", options, requestOptions);
+  }
+
+  // Subscribe to messages that don't settle a request (status, warnings,
+  // the auto-init "ready", ...). Returns an unsubscribe function.
+  on(type, handler) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.listeners.get(type).delete(handler);
+  }
+
+  // Ask the worker to drop a queued request or stop a running one
+  cancel(id) {
+    this.worker.postMessage({ type: "cancel", data: { id } });
+  }
+
+  terminate() {
+    for (const id of [...this.pending.keys()]) {
+      this.settle(id).reject(new Error("Classifier client terminated"));
+    }
+    this.worker.terminate();
+  }
+
+  // ==========================================================================
+  // PROTOCOL
+  // ==========================================================================
+
+  // Send { type, data, id, priority } and resolve with the matching response
+  request(type, data = {}, { priority = 0, timeout = this.timeout, signal, onProgress } = {}) {
+    const id = `req-${this.nextId++}`;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(cancelledError(`${type} request was cancelled`));
+        return;
+      }
+
+      const entry = { expect: RESPONSE_TYPES[type], resolve, reject, onProgress, timer: null, cleanup: null };
+
+      if (timeout > 0) {
+        entry.timer = setTimeout(() => {
+          this.settle(id);
+          this.cancel(id);  // Stop the worker from finishing abandoned work
+          reject(new Error(`${type} request timed out after ${timeout}ms`));
+        }, timeout);
+      }
+
+      if (signal) {
+        const onAbort = () => this.cancel(id);
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.pending.set(id, entry);
+      this.worker.postMessage({ type, data, id, priority });
+    });
+  }
+
+  // Forget a pending request and release its timer/abort listener
+  settle(id) {
+    const entry = this.pending.get(id);
+    if (!entry) return null;
+
+    this.pending.delete(id);
+    clearTimeout(entry.timer);
+    if (entry.cleanup) entry.cleanup();
+    return entry;
+  }
+
+  handleMessage(message) {
+    const entry = message.id !== undefined ? this.pending.get(message.id) : null;
+
+    if (entry && [entry.expect, "error", "cancelled"].includes(message.type)) {
+      this.settle(message.id);
+
+      if (message.type === "error") {
+        const error = new Error(message.message);
+        error.context = message.context;
+        entry.reject(error);
+      } else if (message.type === "cancelled") {
+        entry.reject(cancelledError(message.message));
+      } else {
+        entry.resolve(message);
+      }
+      return;
+    }
+
+    if (entry && entry.onProgress && message.type.endsWith("-progress")) {
+      entry.onProgress(message);
+    }
+
+    const handlers = this.listeners.get(message.type);
+    if (handlers) {
+      for (const handler of handlers) handler(message);
+    }
+  }
+}
+
+// Rejection reason for cancelled jobs; check error.cancelled to tell them apart
+function cancelledError(message) {
+  const error = new Error(message);
+  error.name = "CancelledError";
+  error.cancelled = true;
+  return error;
+}
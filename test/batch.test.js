@@ -0,0 +1,57 @@
+// batch.test.js
+// "classify-batch": per-document results and the summary
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let client;
+before(async () => {
+  client = await startWorker();
+});
+
+async function classifyBatch(documents, options = {}) {
+  const results = [];
+  const summary = await client.classifyBatch(documents, options, {
+    onProgress: (message) => results.push(message)
+  });
+  return { results, summary };
+}
+
+test('every document streams a result, then the summary', async () => {
+  const { results, summary } = await classifyBatch([
+    { id: 'a', text: 'Love and compassion open the heart.' },
+    { id: 'b', text: 'Speak your truth with a clear voice. The ground beneath us is safe.' },
+    { text: 'Fear keeps us awake at night.' }
+  ], { batchSize: 2 });
+
+  assert.deepEqual(results.map(r => r.docId).sort(), [2, 'a', 'b'].sort());
+  assert.deepEqual(results.map(r => r.documentsDone), [1, 2, 3]);
+  for (const { result } of results) assert.equal(result.vector.length, 7);
+
+  assert.equal(summary.documents, 3);
+  assert.equal(summary.classified, 3);
+  assert.equal(summary.failed, 0);
+  assert.equal(summary.dominantHistogram.reduce((sum, bin) => sum + bin.count, 0), 3);
+});
+
+test('documents without usable text fail alone', async () => {
+  const { results, summary } = await classifyBatch([
+    { id: 'number', text: 42 },
+    { id: 'object', text: { body: 'Love opens the heart.' } },
+    { id: 'empty', text: '' },
+    { id: 'missing' },
+    { id: 'good', text: 'Love and compassion open the heart.' }
+  ]);
+
+  const byId = Object.fromEntries(results.map(r => [r.docId, r]));
+  assert.equal(byId.number.error, 'Document text must be a string, got number');
+  assert.equal(byId.object.error, 'Document text must be a string, got object');
+  assert.equal(byId.empty.error, 'No valid chunks to embed');
+  assert.equal(byId.missing.error, 'No valid chunks to embed');
+  assert.equal(byId.good.result.vector.length, 7);
+
+  assert.equal(summary.documents, 5);
+  assert.equal(summary.classified, 1);
+  assert.equal(summary.failed, 4);
+});
@@ -0,0 +1,57 @@
+// cohomology.test.js
+// Čech cohomology over the chunk cover, on covers built from the hash
+// embedder
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let client;
+before(async () => {
+  client = await startWorker();
+});
+
+// One chunk per sentence. The hash embedder maps each short word to one
+// signed coordinate, so sentences sharing one of two words have cosine 1/2.
+const sentences = (...texts) => texts.join(' ');
+const perSentence = { maxChunkSize: 10, minChunkSize: 1 };
+const bySimilarity = (similarityThreshold) => ({ overlap: 'similarity', similarityThreshold });
+
+test('a ring of overlapping chunks has one unresolved loop', async () => {
+  const text = sentences('alpha beta alpha beta.', 'beta gamma beta gamma.', 'gamma delta gamma delta.', 'delta alpha delta alpha.');
+  const { cohomology, cohomologyClass } = await client.classify(text, { ...perSentence, cech: bySimilarity(0.4) });
+
+  assert.equal(cohomology.nerve.vertices, 4);
+  assert.deepEqual(cohomology.nerve.edges, [[0, 1], [0, 3], [1, 2], [2, 3]]);
+  assert.deepEqual(cohomology.nerve.triangles, []);
+  assert.equal(cohomology.h0, 1);
+  assert.equal(cohomology.h1, 1);
+  assert.equal(cohomologyClass, 1);
+  assert.equal(cohomology.cocycles.length, 1);
+});
+
+test('a filled triangle has no loop', async () => {
+  const text = sentences('alpha beta alpha beta.', 'beta gamma beta gamma.', 'gamma alpha gamma alpha.');
+  const { cohomology } = await client.classify(text, { ...perSentence, cech: bySimilarity(0.4) });
+
+  assert.deepEqual(cohomology.nerve.triangles, [[0, 1, 2]]);
+  assert.equal(cohomology.h0, 1);
+  assert.equal(cohomology.h1, 0);
+  assert.deepEqual(cohomology.cocycles, []);
+});
+
+test('disjoint chunks are separate components', async () => {
+  const text = sentences('alpha beta alpha beta.', 'gamma delta gamma delta.', 'omega sigma omega sigma.');
+  const { cohomology } = await client.classify(text, { ...perSentence, cech: bySimilarity(0.4) });
+
+  assert.deepEqual(cohomology.nerve.edges, []);
+  assert.equal(cohomology.h0, 3);
+  assert.equal(cohomology.h1, 0);
+});
+
+test('long covers are merged into maxOpenSets runs', async () => {
+  const text = Array.from({ length: 10 }, (_, i) => `Sentence number ${i} here.`).join(' ');
+  const { cohomology } = await client.classify(text, { ...perSentence, cech: { maxOpenSets: 4 } });
+
+  assert.deepEqual(cohomology.openSets.map(set => set.chunks), [[0, 1], [2, 4], [5, 6], [7, 9]]);
+});
@@ -0,0 +1,61 @@
+// embedders.test.js
+// Embedder backends, and the worker reading the dimension from them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEmbedder, createHashEmbedder } from '../src/embedders.js';
+import { startWorker } from './helpers/worker.js';
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+const dot = (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0);
+
+test('the hash embedder returns one unit vector per text', async () => {
+  const embedder = createHashEmbedder({ dimensions: 64 });
+  const vectors = await embedder.embed(['Love opens the heart.', 'Fear keeps us awake.']);
+
+  assert.equal(embedder.type, 'hash');
+  assert.equal(embedder.name, 'hash-64');
+  assert.equal(vectors.length, 2);
+  for (const vector of vectors) {
+    assert.equal(vector.length, 64);
+    assert.ok(Math.abs(norm(vector) - 1) < 1e-12);
+  }
+});
+
+test('the hash embedder is deterministic and defaults to 384 dimensions', async () => {
+  const [a] = await createHashEmbedder().embed(['Speak your truth.']);
+  const [b] = await createHashEmbedder().embed(['Speak your truth.']);
+
+  assert.equal(a.length, 384);
+  assert.deepEqual(a, b);
+});
+
+test('texts sharing words are closer than unrelated ones', async () => {
+  const [base, shared, unrelated] = await createHashEmbedder({ dimensions: 256 })
+    .embed(['alpha beta gamma', 'alpha beta delta', 'omega sigma kappa']);
+
+  assert.ok(dot(base, shared) > dot(base, unrelated));
+});
+
+test('text without words embeds to the zero vector', async () => {
+  const [vector] = await createHashEmbedder({ dimensions: 8 }).embed(['...']);
+  assert.deepEqual(vector, new Array(8).fill(0));
+});
+
+test('createEmbedder picks the backend by type', async () => {
+  const embedder = await createEmbedder({ type: 'hash', dimensions: 32 });
+  assert.equal(embedder.dimensions, 32);
+
+  await assert.rejects(createEmbedder({ type: 'nope' }), /Unknown embedder type: nope/);
+});
+
+test('the worker reports and uses the embedder dimension', async () => {
+  const client = await startWorker();
+  const { info } = await client.init({ embedder: { type: 'hash', dimensions: 48 } });
+  assert.equal(info.embedder, 'hash');
+  assert.equal(info.dimensions, 48);
+
+  const result = await client.classify('Love and compassion open the heart. Speak your truth with your voice.');
+  assert.equal(result.avgEmbedding.length, 48);
+  assert.equal(result.vector.length, 7);
+});
@@ -0,0 +1,39 @@
+// worker.js
+// Runs the classifier worker in-process for the node --test specs
+// Author: Brian (Axiomatic Research Laboratory)
+// License: MIT
+//
+// The worker only needs self, self.location and postMessage, so it is loaded
+// as a plain module with a stand-in Worker wired to the client. node --test
+// runs every spec file in its own process, so each gets a fresh worker.
+
+import { OctonionClassifierClient } from '../../src/classifier-client.js';
+
+// Starts the worker with the deterministic hash embedder and resolves to a
+// client for it, once "ready"
+export async function startWorker(embedder = { type: 'hash', dimensions: 256 }) {
+  const listeners = new Set();
+
+  globalThis.self = globalThis;
+  globalThis.location = { href: 'file:///src/transformer-worker.js?autoInit=false' };
+  globalThis.postMessage = (message) => {
+    const data = structuredClone(message);
+    setTimeout(() => listeners.forEach(listener => listener({ data })), 0);
+  };
+
+  await import('../../src/transformer-worker.js');
+
+  const worker = {
+    postMessage: (message) => {
+      const data = structuredClone(message);
+      setTimeout(() => self.onmessage({ data }), 0);
+    },
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    terminate() {}
+  };
+
+  const client = new OctonionClassifierClient(worker);
+  await client.init({ embedder });
+  return client;
+}
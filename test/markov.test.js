@@ -0,0 +1,88 @@
+// markov.test.js
+// Markov propagation over the 16 signed units ("propagate" with markov)
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveFanoLines, OCT_TABLE } from '../src/octonion.js';
+import { startWorker } from './helpers/worker.js';
+
+let client;
+before(async () => {
+  client = await startWorker();
+});
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+
+async function markov(vector, options = true) {
+  const { markov } = await client.propagateDistribution(vector, { strategies: [], markov: options });
+  return markov;
+}
+
+test('the transition matrix is doubly stochastic', async () => {
+  const { transition, states } = await markov([0.3, 0.05, 0.1, 0.2, 0.05, 0.2, 0.1]);
+
+  assert.equal(states.length, 16);
+  assert.deepEqual(states.slice(0, 4), ['+1', '-1', '+e1', '-e1']);
+  for (let i = 0; i < 16; i++) {
+    close(sum(transition[i]), 1, `row ${i}`);
+    close(sum(transition.map(row => row[i])), 1, `column ${i}`);
+  }
+});
+
+test('the stationary distribution is invariant and each step is a distribution', async () => {
+  const { transition, stationary, steps } = await markov([0.3, 0.05, 0.1, 0.2, 0.05, 0.2, 0.1], { steps: 6 });
+
+  const next = stationary.states.map((_, to) => sum(stationary.states.map((p, from) => p * transition[from][to])));
+  next.forEach((p, s) => close(p, stationary.states[s], `state ${s}`));
+  close(sum(stationary.states), 1, 'stationary mass');
+
+  assert.equal(steps.length, 7);
+  for (const step of steps) {
+    close(sum(step.distribution) + step.real, 1, `step ${step.step} mass`);
+  }
+});
+
+test('a uniform drive mixes to the uniform distribution', async () => {
+  const uniform = new Array(7).fill(1 / 7);
+  const { stationary, mixingTime, steps, epsilon } = await markov(uniform, { steps: 20, epsilon: 0.05 });
+
+  stationary.states.forEach((p, s) => close(p, 1 / 16, `state ${s}`));
+  close(stationary.real, 1 / 8, 'real mass');
+  close(stationary.sign, 0, 'sign');
+  assert.ok(mixingTime !== null && mixingTime <= 20);
+  assert.ok(steps[mixingTime].distance <= epsilon);
+});
+
+test('mass on one Fano line stays in its quaternion subalgebra', async () => {
+  const [line] = deriveFanoLines(OCT_TABLE);
+  const vector = new Array(7).fill(0);
+  line.forEach(point => { vector[point - 1] = 1 / 3; });
+
+  const { stationary, steps } = await markov(vector, { steps: 12 });
+
+  for (const { distribution } of [...steps, stationary]) {
+    distribution.forEach((p, i) => {
+      if (!line.includes(i + 1)) close(p, 0, `e${i + 1} off the line`);
+    });
+  }
+  // Uniform on the 8 signed units ±1, ±e_a, ±e_b, ±e_c
+  close(stationary.real, 1 / 4, 'real mass');
+  line.forEach(point => close(stationary.distribution[point - 1], 1 / 4, `e${point}`));
+});
+
+test('a driving distribution replaces the start vector as the drive', async () => {
+  const driving = [0, 0, 0, 1, 0, 0, 0];
+  const { driving: q, transition } = await markov([1, 0, 0, 0, 0, 0, 0], { driving });
+
+  assert.deepEqual(q, driving);
+  // Right-multiplying by e4 is a permutation of the signed units
+  for (const row of transition) assert.equal(row.filter(x => x === 1).length, 1);
+});
+
+test('an invalid driving distribution is rejected', async () => {
+  await assert.rejects(
+    markov([1, 0, 0, 0, 0, 0, 0], { driving: [0, 0, 0] }),
+    /7-entry driving distribution/
+  );
+});
@@ -0,0 +1,70 @@
+// oct-tables.test.js
+// Table generators: Cayley–Dickson and the 480 sign conventions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OCT_TABLE,
+  verifyOctonionTable,
+  deriveFanoLines,
+  tableFromLines,
+  cayleyDicksonTable,
+  signConventionTables,
+  signConventionIndex
+} from '../src/octonion.js';
+import { startWorker } from './helpers/worker.js';
+
+const failedChecks = (report) => report.checks.filter(c => !c.passed).map(c => c.name);
+
+test('the Cayley–Dickson table is valid and among the sign conventions', () => {
+  const table = cayleyDicksonTable();
+  assert.equal(verifyOctonionTable(table).valid, true);
+  assert.notEqual(signConventionIndex(table), -1);
+});
+
+test('there are 480 distinct sign conventions, all valid', () => {
+  const tables = signConventionTables();
+  assert.equal(tables.length, 480);
+  assert.equal(new Set(tables.map(table => JSON.stringify(table))).size, 480);
+
+  tables.forEach((table, index) => {
+    assert.deepEqual(failedChecks(verifyOctonionTable(table, { samples: 10 })), [], `convention ${index}`);
+  });
+});
+
+test('signConventionIndex finds each convention and rejects other tables', () => {
+  const tables = signConventionTables();
+  for (const index of [0, 1, 241, 479]) {
+    assert.equal(signConventionIndex(tables[index]), index);
+  }
+  assert.notEqual(signConventionIndex(OCT_TABLE), -1);
+
+  const lines = deriveFanoLines(OCT_TABLE);
+  const [a, b, c] = lines[0];
+  assert.equal(signConventionIndex(tableFromLines([[a, c, b], ...lines.slice(1)])), -1);
+});
+
+test('signConventionIndex ignores what a table holds for e_0', () => {
+  const index = 123;
+  const table = signConventionTables()[index].map((row, i) =>
+    Array.from({ length: 8 }, (_, j) => (i === 0 ? [1, j] : j === 0 ? [1, i] : row[j])));
+
+  assert.equal(verifyOctonionTable(table).valid, true);
+  assert.equal(signConventionIndex(table), index);
+});
+
+test('set-oct-table switches generators and rejects invalid tables', async () => {
+  const client = await startWorker();
+
+  const { octTable } = await client.setOctTable({ generator: 'sign-convention', index: 7 });
+  assert.equal(octTable.name, 'sign-convention-7');
+  assert.deepEqual(octTable.table, signConventionTables()[7]);
+
+  const lines = deriveFanoLines(OCT_TABLE);
+  const [a, b, c] = lines[0];
+  await assert.rejects(client.setOctTable({ table: tableFromLines([[a, c, b], ...lines.slice(1)]) }), /Rejected multiplication table/);
+  assert.equal((await client.verifyFano()).valid, true);  // Still sign convention 7
+
+  const cayley = await client.setOctTable({ generator: 'cayley-dickson' });
+  assert.equal(cayley.verification.valid, true);
+});
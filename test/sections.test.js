@@ -0,0 +1,67 @@
+// sections.test.js
+// Per-chunk sections of "classify" and their character offsets
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let client;
+before(async () => {
+  client = await startWorker();
+});
+
+test('chunks carry their offsets into the text', async () => {
+  const text = '  Love opens the heart.\n\nFear keeps us awake at night!   Speak your truth. Is it ok? tail ';
+  const result = await client.classify(text, { maxChunkSize: 10, minChunkSize: 1, sections: true });
+
+  // "Is it ok?" is under 10 characters and dropped; the trailing words
+  // without a terminator aren't a sentence
+  assert.deepEqual(result.sections.map(s => s.text), [
+    'Love opens the heart.',
+    'Fear keeps us awake at night!',
+    'Speak your truth.'
+  ]);
+  for (const section of result.sections) {
+    assert.equal(text.slice(section.start, section.end), section.text);
+  }
+});
+
+test('sentences are grouped up to maxChunkSize', async () => {
+  const text = 'One two three four five. Six seven eight nine ten. Eleven twelve thirteen. Fourteen fifteen.';
+  const result = await client.classify(text, { maxChunkSize: 60, minChunkSize: 20, sections: true });
+
+  assert.equal(result.sections.length, 2);
+  for (const section of result.sections) {
+    assert.equal(text.slice(section.start, section.end), section.text);
+  }
+  assert.equal(result.sections[0].text, 'One two three four five. Six seven eight nine ten.');
+});
+
+test('text without sentence terminators is one chunk', async () => {
+  const text = 'no terminator in this text at all';
+  const result = await client.classify(text, { sections: true });
+
+  assert.equal(result.sections.length, 1);
+  assert.deepEqual([result.sections[0].start, result.sections[0].end], [0, text.length]);
+});
+
+test('each section has its own classification', async () => {
+  const { sections } = await client.classify('Love opens the heart. Fear keeps us awake at night.', {
+    maxChunkSize: 10,
+    minChunkSize: 1,
+    sections: true
+  });
+
+  assert.equal(sections.length, 2);
+  sections.forEach((section, index) => {
+    assert.equal(section.index, index);
+    assert.equal(section.vector.length, 7);
+    assert.equal(section.confidence, Math.max(...section.vector));
+    assert.equal(section.dominant, section.vector.indexOf(section.confidence) + 1);
+  });
+});
+
+test('sections are only returned when asked for', async () => {
+  const result = await client.classify('Love opens the heart. Fear keeps us awake at night.');
+  assert.equal(result.sections, undefined);
+});
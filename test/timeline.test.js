@@ -0,0 +1,51 @@
+// timeline.test.js
+// Sliding-window narrative timeline of "classify"
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let client;
+before(async () => {
+  client = await startWorker();
+});
+
+const text = [
+  'Love and compassion open the heart to others.',
+  'Love and kindness connect us to one another.',
+  'Speak your truth clearly with a strong voice.',
+  'Express what you mean and say it out loud.',
+  'The ground beneath us is safe and stable.',
+  'Our home and our roots keep us secure.'
+].join('\n\n   ');
+
+test('windows cover the text without their edge whitespace', async () => {
+  const { timeline } = await client.classify(text, { timeline: { windowSize: 60, stride: 30 } });
+
+  assert.ok(timeline.windows.length > 3);
+  timeline.windows.forEach((window, index) => {
+    const slice = text.slice(window.start, window.end);
+    assert.equal(window.index, index);
+    assert.equal(slice, slice.trim(), `window ${index} is trimmed`);
+    assert.ok(slice.length >= 10);
+  });
+
+  const starts = timeline.windows.map(window => window.start);
+  assert.deepEqual(starts, [...starts].sort((a, b) => a - b));
+  assert.equal(timeline.shifts.length, timeline.windows.length - 1);
+});
+
+test('change points sit at the start of their window', async () => {
+  const { timeline } = await client.classify(text, { timeline: { windowSize: 60, stride: 30, sensitivity: 0 } });
+
+  assert.ok(timeline.changePoints.length > 0);
+  for (const change of timeline.changePoints) {
+    assert.equal(change.position, timeline.windows[change.window].start);
+    assert.match(text[change.position], /\S/);
+  }
+});
+
+test('the timeline is only computed when asked for', async () => {
+  const result = await client.classify(text);
+  assert.equal(result.timeline, undefined);
+});
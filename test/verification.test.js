@@ -0,0 +1,47 @@
+// verification.test.js
+// verifyOctonionTable: Fano lines, quaternion triples, alternativity, Moufang
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  OCT_TABLE,
+  Octonion,
+  verifyOctonionTable,
+  deriveFanoLines,
+  tableFromLines
+} from '../src/octonion.js';
+
+const failedChecks = (report) => report.checks.filter(c => !c.passed).map(c => c.name);
+
+test('the default table is a valid octonion table', () => {
+  const report = verifyOctonionTable(OCT_TABLE);
+  assert.deepEqual(failedChecks(report), []);
+  assert.equal(report.valid, true);
+  assert.equal(report.lines.length, 7);
+});
+
+test('each Fano line is a quaternion triple', () => {
+  for (const [a, b, c] of deriveFanoLines(OCT_TABLE)) {
+    const product = Octonion.basis(a, 1, OCT_TABLE).multiply(Octonion.basis(b, 1, OCT_TABLE));
+    assert.ok(product.equals(Octonion.basis(c, 1, OCT_TABLE)), `e${a}·e${b} = e${c}`);
+  }
+});
+
+test('flipping one line breaks alternativity', () => {
+  const lines = deriveFanoLines(OCT_TABLE);
+  const [a, b, c] = lines[0];
+  const flipped = tableFromLines([[a, c, b], ...lines.slice(1)]);
+
+  const report = verifyOctonionTable(flipped);
+  assert.equal(report.valid, false);
+  assert.ok(failedChecks(report).includes('left-alternative'));
+});
+
+test('malformed tables fail the shape check', () => {
+  const table = OCT_TABLE.map(row => row && row.slice());
+  table[3][5] = [2, 9];
+
+  const report = verifyOctonionTable(table);
+  assert.equal(report.valid, false);
+  assert.deepEqual(failedChecks(report), ['shape']);
+});
@@ -0,0 +1,45 @@
+// zariski.test.js
+// Minimal Zariski covers of the classification vector
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startWorker } from './helpers/worker.js';
+
+let client;
+before(async () => {
+  client = await startWorker();
+});
+
+test('minimal Zariski covers are exactly the minimal subsets reaching the threshold', async () => {
+  const text = 'Love and compassion open the heart. Speak your truth with a clear voice. The ground beneath us is safe.';
+  const threshold = 0.6;
+  const { vector, zariski } = await client.classify(text, { zariskiThreshold: threshold });
+
+  // Brute force over the 127 non-empty subsets of e1..e7
+  const expected = [];
+  let covers = 0;
+  for (let mask = 1; mask < 128; mask++) {
+    const indices = [1, 2, 3, 4, 5, 6, 7].filter(i => mask & (1 << (i - 1)));
+    const sum = indices.reduce((total, i) => total + vector[i - 1], 0);
+    if (sum < threshold) continue;
+    covers++;
+    if (indices.every(i => sum - vector[i - 1] < threshold)) expected.push(indices.join(','));
+  }
+
+  assert.equal(zariski.threshold, threshold);
+  assert.equal(zariski.covers, covers);
+  assert.deepEqual(zariski.minimalCovers.map(cover => cover.indices.join(',')).sort(), expected.sort());
+
+  // Smallest first, ties by larger mass
+  const order = zariski.minimalCovers.map(cover => [cover.indices.length, -cover.sum]);
+  const sorted = [...order].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  assert.deepEqual(order, sorted);
+  assert.deepEqual(zariski.activeLabels, zariski.minimalCovers[0]);
+});
+
+test('with a tiny threshold every single dimension is a minimal cover', async () => {
+  const { zariski } = await client.classify('Love and compassion open the heart.', { zariskiThreshold: 1e-6 });
+
+  assert.equal(zariski.covers, 127);
+  assert.deepEqual(zariski.minimalCovers.map(cover => cover.indices).sort(), [[1], [2], [3], [4], [5], [6], [7]]);
+});